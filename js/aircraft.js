@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+
+// Moving parts of the F-16 model: landing gear, flaps and speed brakes.
+// Parts are looked up by name (see tools/add_f16_moving_parts.js) and re-parented under a
+// pivot at their hinge, then rotated from the flight model's actuator positions.
+
+const PARTS = [
+    // Gear legs fold into the fuselage: nose gear aft, main gear inwards
+    { source: 'gearPosition', meshes: ['GearFrontStrut', 'GearFrontWheel'], hinge: [0, -0.5, -1.5], axis: [1, 0, 0], angle: -Math.PI / 2, hideWhenStowed: true },
+    { source: 'gearPosition', meshes: ['GearLeftStrut', 'GearLeftWheel'], hinge: [0.8, -0.5, 0.5], axis: [0, 0, 1], angle: -Math.PI / 2, hideWhenStowed: true },
+    { source: 'gearPosition', meshes: ['GearRightStrut', 'GearRightWheel'], hinge: [-0.8, -0.5, 0.5], axis: [0, 0, 1], angle: Math.PI / 2, hideWhenStowed: true },
+
+    // Flaps hinge along their (swept) leading edge, trailing edge down
+    { source: 'flapPosition', meshes: ['FlapRight'], hinge: [1.5, 0.05, 1.48], axis: [1.6, 0, -0.267], angle: 0.6 },
+    { source: 'flapPosition', meshes: ['FlapLeft'], hinge: [-1.5, 0.05, 1.48], axis: [1.6, 0, 0.267], angle: 0.6 },
+
+    // Speed brakes swing outwards from their front edge
+    { source: 'speedBrakePosition', meshes: ['SpeedBrakeRight'], hinge: [0.52, 0, 1.25], axis: [0, 1, 0], angle: 1.0 },
+    { source: 'speedBrakePosition', meshes: ['SpeedBrakeLeft'], hinge: [-0.52, 0, 1.25], axis: [0, 1, 0], angle: -1.0 }
+];
+
+/**
+ * Find the moving parts on a freshly loaded plane and give each a hinge pivot
+ */
+export function setupAircraftParts(plane) {
+    const parts = [];
+
+    for (const def of PARTS) {
+        const meshes = def.meshes.map(name => plane.getObjectByName(name)).filter(Boolean);
+        if (meshes.length === 0) {
+            console.warn(`Aircraft part not found: ${def.meshes.join(', ')}`);
+            continue;
+        }
+
+        const pivot = new THREE.Group();
+        pivot.name = `${def.meshes[0]}Pivot`;
+        pivot.position.fromArray(def.hinge);
+        meshes[0].parent.add(pivot);
+
+        // OBJ meshes sit at the origin with baked vertices, so offset them by the hinge
+        for (const mesh of meshes) {
+            pivot.add(mesh);
+            mesh.position.sub(pivot.position);
+        }
+
+        parts.push({
+            pivot,
+            source: def.source,
+            axis: new THREE.Vector3().fromArray(def.axis).normalize(),
+            angle: def.angle,
+            hideWhenStowed: !!def.hideWhenStowed
+        });
+    }
+
+    plane.userData.movingParts = parts;
+}
+
+/**
+ * Render-time update: pose the parts from the actuator positions (0..1) in the flight state
+ */
+export function updateAircraftParts(plane, flight) {
+    if (!plane || !plane.userData.movingParts) return;
+
+    for (const part of plane.userData.movingParts) {
+        const extended = flight[part.source];
+        // Gear rotates from stowed (0) to down (1); everything else from neutral outwards
+        const t = part.source === 'gearPosition' ? 1 - extended : extended;
+        part.pivot.quaternion.setFromAxisAngle(part.axis, part.angle * t);
+        if (part.hideWhenStowed) part.pivot.visible = extended > 0;
+    }
+}
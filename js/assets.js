@@ -170,7 +170,7 @@ export function loadF16() {
                     color: 0x333333,
                     side: THREE.DoubleSide
                 });
-            } else if (child.name.includes('Wings') || child.name.includes('Tail') || child.name.includes('Stabilizers')) {
+            } else if (child.name.includes('Wings') || child.name.includes('Tail') || child.name.includes('Stabilizers') || child.name.includes('Flap') || child.name.includes('SpeedBrake')) {
                 child.material = new THREE.MeshPhongMaterial({
                     color: 0x444444,
                     side: THREE.DoubleSide
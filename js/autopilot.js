@@ -0,0 +1,306 @@
+import * as THREE from 'three';
+import { FLAP_SETTINGS } from './flight.js?v=10';
+
+// Autopilot.
+// Modes: ALT (altitude hold), HDG (heading hold), LVL (wings-level recovery) and
+// APP (flies to the nearest runway, lines up on the centreline and follows a glideslope).
+// ALT and HDG can run together; LVL and APP take over both axes.
+// Any manual stick input disconnects everything.
+
+const GLIDESLOPE = 3 * Math.PI / 180;
+const FINAL_APPROACH_DIST = 800;     // centreline intercept point, from the threshold
+const THRESHOLD_OFFSET = 20;         // aim point distance from runway centre (runway is 100 long)
+const RUNWAY_LENGTH = 70;            // usable length past the aim point
+const APPROACH_SPEED = 21;         // units/s with full flap (stall ~16)
+const INTERCEPT_SPEED = 24;          // units/s while turning onto the centreline (margin for the bank)
+const TRANSIT_SPEED = 30;            // units/s on the way to the intercept point
+const FLARE_HEIGHT = 3;              // start of the flare above the runway surface
+const MAX_BANK = 0.5;                // ~30 degrees
+const MAX_CLIMB_RATE = 15;           // units/s
+const MAX_APPROACH_SINK = 4;         // units/s
+
+export const autopilot = {
+    altHold: false,
+    hdgHold: false,
+    wingsLevel: false,
+    approach: false,
+    targetAltitude: 0,
+    targetHeading: 0,
+    runway: null,         // runway being flown in APP mode
+    runwayHeading: 0,     // landing direction (same convention as getHeading)
+    onFinal: false,       // APP: established on the extended centreline
+    offFlashUntil: 0      // performance.now() until which "AP OFF" is shown
+};
+
+let getRunways = () => [];
+let pitchIntegral = 0; // flight path trim, so slow flight doesn't sag below the target
+
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _up = new THREE.Vector3();
+
+export function setupAutopilot(options = {}) {
+    if (options.getRunways) getRunways = options.getRunways;
+}
+
+export function isAutopilotEngaged() {
+    return autopilot.altHold || autopilot.hdgHold || autopilot.wingsLevel || autopilot.approach;
+}
+
+/**
+ * Heading of the nose in radians (0 = -Z / north on the minimap, positive = left/west)
+ */
+export function getHeading(plane) {
+    _forward.set(0, 0, -1).applyQuaternion(plane.quaternion);
+    return Math.atan2(-_forward.x, -_forward.z);
+}
+
+// Compass heading in degrees (0..359, clockwise) for display
+export function headingToCompass(heading) {
+    const deg = Math.round(-THREE.MathUtils.radToDeg(heading));
+    return ((deg % 360) + 360) % 360;
+}
+
+function wrapAngle(a) {
+    return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+function getBank(plane) {
+    _right.set(1, 0, 0).applyQuaternion(plane.quaternion);
+    _up.set(0, 1, 0).applyQuaternion(plane.quaternion);
+    return Math.atan2(_right.y, _up.y); // positive = left wing down
+}
+
+export function disengageAutopilot(flash = true) {
+    if (flash && isAutopilotEngaged()) autopilot.offFlashUntil = performance.now() + 2000;
+    autopilot.altHold = false;
+    autopilot.hdgHold = false;
+    autopilot.wingsLevel = false;
+    autopilot.approach = false;
+    autopilot.runway = null;
+    pitchIntegral = 0;
+}
+
+export function toggleAltitudeHold(plane) {
+    if (!plane) return;
+    autopilot.wingsLevel = false;
+    autopilot.approach = false;
+    autopilot.altHold = !autopilot.altHold;
+    autopilot.targetAltitude = plane.position.y;
+}
+
+export function toggleHeadingHold(plane) {
+    if (!plane) return;
+    autopilot.wingsLevel = false;
+    autopilot.approach = false;
+    autopilot.hdgHold = !autopilot.hdgHold;
+    autopilot.targetHeading = getHeading(plane);
+}
+
+export function toggleWingsLevel() {
+    const on = !autopilot.wingsLevel;
+    disengageAutopilot(false);
+    autopilot.wingsLevel = on;
+}
+
+export function toggleApproach(plane) {
+    if (autopilot.approach || !plane) {
+        disengageAutopilot();
+        return;
+    }
+
+    // Nearest runway
+    let best = null;
+    let bestD = Infinity;
+    for (const r of getRunways()) {
+        const d = r.position.distanceToSquared(plane.position);
+        if (d < bestD) {
+            bestD = d;
+            best = r;
+        }
+    }
+    if (!best) return;
+
+    disengageAutopilot(false);
+    autopilot.approach = true;
+    autopilot.runway = best;
+    autopilot.onFinal = false;
+    // Descend (or climb) to the glideslope height at the intercept point
+    autopilot.targetAltitude = best.position.y + 15 + FINAL_APPROACH_DIST * Math.tan(GLIDESLOPE);
+
+    // Land in whichever direction needs the smaller turn from our current heading
+    const along = best.rotation.y;
+    const reverse = wrapAngle(along + Math.PI);
+    const heading = getHeading(plane);
+    autopilot.runwayHeading = Math.abs(wrapAngle(along - heading)) <= Math.abs(wrapAngle(reverse - heading)) ? along : reverse;
+}
+
+// --- Inner loops ---
+
+// Roll command that holds a bank angle (positive = left)
+function holdBank(plane, flight, targetBank) {
+    const bank = getBank(plane);
+    return THREE.MathUtils.clamp((targetBank - bank) * 2.0 - flight.angularVelocity.z * 0.3, -1, 1);
+}
+
+// Pitch command that holds a flight path angle
+function holdFlightPath(plane, flight, targetFpa, delta) {
+    const v = flight.velocity;
+    const speed = Math.max(1, v.length());
+    const fpa = Math.asin(THREE.MathUtils.clamp(v.y / speed, -1, 1));
+
+    // Pull harder in a bank to keep the nose up; pointless when inverted
+    const bank = Math.abs(getBank(plane));
+    if (bank > Math.PI / 2) return 0;
+    const bankFactor = 1 / Math.max(0.5, Math.cos(bank));
+
+    const error = targetFpa - fpa;
+    pitchIntegral = THREE.MathUtils.clamp(pitchIntegral + error * 2.0 * delta, -0.5, 0.5);
+    return THREE.MathUtils.clamp(error * 4.0 * bankFactor + pitchIntegral - flight.angularVelocity.x * 0.5, -1, 1);
+}
+
+function fpaForAltitude(flight, targetAltitude, altitude, maxRate = MAX_CLIMB_RATE) {
+    const climb = THREE.MathUtils.clamp((targetAltitude - altitude) * 0.4, -maxRate, maxRate);
+    const speed = Math.max(10, flight.velocity.length());
+    return Math.asin(THREE.MathUtils.clamp(climb / speed, -0.5, 0.5));
+}
+
+function bankForHeading(plane, targetHeading) {
+    const error = wrapAngle(targetHeading - getHeading(plane));
+    return THREE.MathUtils.clamp(error * 1.5, -MAX_BANK, MAX_BANK);
+}
+
+// --- Approach guidance ---
+
+function approachGuidance(plane, flight, delta) {
+    const runway = autopilot.runway;
+    const surfaceY = runway.position.y + 15;
+
+    // Work in a frame aligned with the landing direction: +along = towards the far end
+    const h = autopilot.runwayHeading;
+    const dirX = -Math.sin(h);
+    const dirZ = -Math.cos(h);
+    const thresholdX = runway.position.x - dirX * THRESHOLD_OFFSET;
+    const thresholdZ = runway.position.z - dirZ * THRESHOLD_OFFSET;
+
+    const dx = plane.position.x - thresholdX;
+    const dz = plane.position.z - thresholdZ;
+    const along = dx * dirX + dz * dirZ;           // negative before the threshold
+    const cross = dx * -dirZ + dz * dirX;          // positive = right of the centreline (looking down the runway)
+    const distOut = -along;
+    let targetHeading = h;
+
+    // Fly to the intercept point first, then track the centreline (intercept angle grows with the offset).
+    // Switch early if we're already roughly lined up somewhere along the final approach.
+    const headingOff = Math.abs(wrapAngle(getHeading(plane) - h));
+    if (autopilot.onFinal && distOut < -RUNWAY_LENGTH) {
+        // Ran off the far end without touching down: go around
+        autopilot.onFinal = false;
+    }
+    if (!autopilot.onFinal) {
+        const fixX = thresholdX - dirX * FINAL_APPROACH_DIST;
+        const fixZ = thresholdZ - dirZ * FINAL_APPROACH_DIST;
+        const nearFix = Math.hypot(fixX - plane.position.x, fixZ - plane.position.z) < 150;
+        const linedUp = distOut > 200 && Math.abs(cross) < distOut * 0.3 && headingOff < Math.PI / 3;
+        if (nearFix || linedUp) {
+            autopilot.onFinal = true;
+        } else {
+            targetHeading = Math.atan2(-(fixX - plane.position.x), -(fixZ - plane.position.z));
+        }
+    }
+    if (autopilot.onFinal) {
+        targetHeading = h + THREE.MathUtils.clamp(cross * 0.01, -Math.PI / 4, Math.PI / 4);
+    }
+
+    // Vertical: hold altitude until established, then the glideslope down to the threshold
+    // (never climbing to meet it), then flare
+    const established = autopilot.onFinal && Math.abs(cross) < 50 && headingOff < Math.PI / 4;
+    if (established) {
+        // Landing configuration
+        flight.gearDown = true;
+        flight.flapSetting = FLAP_SETTINGS.length - 1;
+        flight.speedBrake = false;
+    }
+
+    const height = plane.position.y - surfaceY;
+    let fpa;
+    let throttle;
+    if (established && height < FLARE_HEIGHT) {
+        fpa = -0.01;
+        throttle = 0;
+    } else {
+        const glideAlt = surfaceY + distOut * Math.tan(GLIDESLOPE);
+        const targetSpeed = established ? APPROACH_SPEED : autopilot.onFinal ? INTERCEPT_SPEED : TRANSIT_SPEED;
+        if (established && glideAlt < autopilot.targetAltitude) {
+            // On the glideslope: its angle plus a correction towards the beam
+            fpa = -GLIDESLOPE + fpaForAltitude(flight, glideAlt, plane.position.y, MAX_APPROACH_SINK);
+        } else {
+            fpa = fpaForAltitude(flight, autopilot.targetAltitude, plane.position.y, MAX_APPROACH_SINK);
+        }
+        throttle = THREE.MathUtils.clamp(flight.throttle + (targetSpeed - flight.airspeed) * 0.5 * delta, 0, 1);
+    }
+
+    return {
+        roll: holdBank(plane, flight, bankForHeading(plane, targetHeading)),
+        pitch: holdFlightPath(plane, flight, fpa, delta),
+        throttle
+    };
+}
+
+/**
+ * Autopilot commands for this step, or null when disengaged.
+ * Returns { pitch, roll, yaw, throttle } where throttle is null unless APP is flying the speed.
+ */
+export function updateAutopilot(plane, flight, delta) {
+    if (!isAutopilotEngaged()) return null;
+
+    if (autopilot.approach) {
+        if (!autopilot.runway || !autopilot.runway.parent) {
+            // Runway chunk unloaded
+            disengageAutopilot();
+            return null;
+        }
+        const cmd = approachGuidance(plane, flight, delta);
+        return { pitch: cmd.pitch, roll: cmd.roll, yaw: 0, throttle: cmd.throttle };
+    }
+
+    if (autopilot.wingsLevel) {
+        // Roll upright first, then stop the climb or dive
+        const bank = getBank(plane);
+        const roll = holdBank(plane, flight, 0);
+        const pitch = Math.abs(bank) < Math.PI / 4 ? holdFlightPath(plane, flight, 0, delta) : 0;
+        return { pitch, roll, yaw: 0, throttle: null };
+    }
+
+    const targetBank = autopilot.hdgHold ? bankForHeading(plane, autopilot.targetHeading) : 0;
+    const targetFpa = autopilot.altHold ? fpaForAltitude(flight, autopilot.targetAltitude, plane.position.y) : 0;
+
+    return {
+        pitch: holdFlightPath(plane, flight, targetFpa, delta),
+        roll: holdBank(plane, flight, targetBank),
+        yaw: 0,
+        throttle: null
+    };
+}
+
+/**
+ * Render-time HUD annunciators
+ */
+export function updateAutopilotHUD(plane) {
+    const set = (id, on, text) => {
+        const light = document.getElementById(id);
+        if (!light) return;
+        light.classList.toggle('on', on);
+        if (text) light.innerText = text;
+    };
+
+    set('ap-alt', autopilot.altHold, autopilot.altHold ? `ALT ${Math.round(autopilot.targetAltitude)}` : 'ALT');
+    set('ap-hdg', autopilot.hdgHold, autopilot.hdgHold ? `HDG ${String(headingToCompass(autopilot.targetHeading)).padStart(3, '0')}` : 'HDG');
+    set('ap-lvl', autopilot.wingsLevel, 'LVL');
+    set('ap-app', autopilot.approach, autopilot.approach && plane
+        ? `APP ${Math.round(plane.position.distanceTo(autopilot.runway.position))}m`
+        : 'APP');
+
+    const off = document.getElementById('ap-off');
+    if (off) off.style.display = performance.now() < autopilot.offFlashUntil ? 'inline-block' : 'none';
+}
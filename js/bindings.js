@@ -0,0 +1,342 @@
+import { gamepadSettings } from './gamepad.js?v=2';
+import { mouseAimSettings } from './mouseaim.js?v=4';
+import { touchSettings } from './touch.js?v=2';
+import { pipSettings } from './pip.js?v=2';
+
+// Rebindable input.
+// Bindings use KeyboardEvent.code (physical key position), so WASD-style layouts stay in the
+// same place on AZERTY/QWERTZ keyboards. Mouse buttons are stored as 'Mouse0'..'Mouse2'.
+// Profiles (key bindings + option sections such as gamepad tuning) are persisted in localStorage.
+
+const STORAGE_KEY = 'f16-control-profiles';
+export const DEFAULT_PROFILE = 'Default';
+
+// type 'hold' is polled every step, 'press' fires handlers once per key press
+export const ACTIONS = [
+    { id: 'pitchDown', label: 'Pitch down', type: 'hold', keys: ['KeyW'] },
+    { id: 'pitchUp', label: 'Pitch up', type: 'hold', keys: ['KeyS'] },
+    { id: 'rollLeft', label: 'Roll left', type: 'hold', keys: ['KeyQ'] },
+    { id: 'rollRight', label: 'Roll right', type: 'hold', keys: ['KeyE'] },
+    { id: 'yawLeft', label: 'Yaw / steer left', type: 'hold', keys: ['KeyA'] },
+    { id: 'yawRight', label: 'Yaw / steer right', type: 'hold', keys: ['KeyD'] },
+    { id: 'throttleUp', label: 'Throttle up', type: 'hold', keys: ['ArrowUp', 'ShiftLeft'] },
+    { id: 'throttleDown', label: 'Throttle down', type: 'hold', keys: ['ArrowDown', 'ControlLeft'] },
+    { id: 'afterburner', label: 'Afterburner', type: 'press', keys: ['KeyX'] },
+    { id: 'fire', label: 'Fire cannon', type: 'press', keys: ['Mouse0'] },
+    { id: 'bomb', label: 'Release selected weapon', type: 'press', keys: ['Space'] },
+    { id: 'weaponNext', label: 'Weapon: next station', type: 'press', keys: ['KeyZ'] },
+    { id: 'loadout', label: 'Loadout (on the ground)', type: 'press', keys: ['KeyU'] },
+    { id: 'gear', label: 'Landing gear', type: 'press', keys: ['KeyG'] },
+    { id: 'flaps', label: 'Flaps', type: 'press', keys: ['KeyF'] },
+    { id: 'speedBrake', label: 'Speed brake', type: 'press', keys: ['KeyB'] },
+    { id: 'wheelBrake', label: 'Wheel brakes', type: 'hold', keys: ['Period'] },
+    { id: 'reset', label: 'Reset plane', type: 'press', keys: ['KeyR'] },
+    { id: 'pause', label: 'Pause', type: 'press', keys: ['KeyP'] },
+    { id: 'slower', label: 'Slow motion', type: 'press', keys: ['BracketLeft'] },
+    { id: 'faster', label: 'Speed up time', type: 'press', keys: ['BracketRight'] },
+    { id: 'mouseAim', label: 'Mouse aim mode', type: 'press', keys: ['KeyM'] },
+    { id: 'photoMode', label: 'Photo mode', type: 'press', keys: ['KeyO'] },
+    { id: 'replay', label: 'Replay flight', type: 'press', keys: ['KeyY'] },
+    { id: 'cameraNext', label: 'Camera: next view', type: 'press', keys: ['KeyV'] },
+    { id: 'cameraChase', label: 'Camera: chase', type: 'press', keys: ['Digit5'] },
+    { id: 'cameraCockpit', label: 'Camera: cockpit', type: 'press', keys: ['Digit6'] },
+    { id: 'cameraPadlock', label: 'Camera: padlock', type: 'press', keys: ['Digit7'] },
+    { id: 'cameraTactical', label: 'Camera: tactical', type: 'press', keys: ['Digit8'] },
+    { id: 'cameraFree', label: 'Camera: free', type: 'press', keys: ['Digit9'] },
+    { id: 'mirror', label: 'Rear-view mirror', type: 'press', keys: ['KeyH'] },
+    { id: 'targetPod', label: 'Targeting pod', type: 'press', keys: ['KeyT'] },
+    { id: 'podDesignate', label: 'Pod: designate / clear', type: 'press', keys: ['KeyC'] },
+    { id: 'podMode', label: 'Pod: TV / thermal', type: 'press', keys: ['KeyN'] },
+    { id: 'podSlew', label: 'Pod: slew (with mouse)', type: 'hold', keys: ['Mouse2'] },
+    { id: 'apAltitude', label: 'Autopilot: altitude hold', type: 'press', keys: ['Digit1'] },
+    { id: 'apHeading', label: 'Autopilot: heading hold', type: 'press', keys: ['Digit2'] },
+    { id: 'apLevel', label: 'Autopilot: wings level', type: 'press', keys: ['Digit3'] },
+    { id: 'apApproach', label: 'Autopilot: approach', type: 'press', keys: ['Digit4'] },
+    { id: 'apOff', label: 'Autopilot: disconnect', type: 'press', keys: ['Digit0'] },
+    { id: 'settings', label: 'Controls menu', type: 'press', keys: ['Escape'] }
+];
+
+// Rows of the CONTROLS box: label + the actions shown together ("W / S")
+export const CONTROL_GRID_ROWS = [
+    { label: 'PITCH', actions: ['pitchDown', 'pitchUp'] },
+    { label: 'ROLL', actions: ['rollLeft', 'rollRight'] },
+    { label: 'YAW/STEER', actions: ['yawLeft', 'yawRight'] },
+    { label: 'THRUST', actions: ['throttleUp', 'throttleDown', 'afterburner'] },
+    { label: 'GEAR/FLAP/BRK', actions: ['gear', 'flaps', 'speedBrake'] },
+    { label: 'WHEEL BRAKE', actions: ['wheelBrake'] },
+    { label: 'RESET', actions: ['reset'] },
+    { label: 'FIRE', actions: ['fire'] },
+    { label: 'WEAPON', actions: ['bomb', 'weaponNext'] },
+    { label: 'LOADOUT', actions: ['loadout'] },
+    { label: 'CAM', text: 'MMB' },
+    { label: 'VIEW', actions: ['cameraNext', 'cameraChase', 'cameraCockpit', 'cameraPadlock', 'cameraTactical', 'cameraFree'] },
+    { label: 'MIRROR', actions: ['mirror'] },
+    { label: 'TGT POD', actions: ['targetPod', 'podDesignate', 'podMode', 'podSlew'] },
+    { label: 'AIM', actions: ['mouseAim'] },
+    { label: 'AUTOPILOT', actions: ['apAltitude', 'apHeading', 'apLevel', 'apApproach', 'apOff'] },
+    { label: 'PAUSE', actions: ['pause'] },
+    { label: 'PHOTO', actions: ['photoMode'] },
+    { label: 'REPLAY', actions: ['replay'] },
+    { label: 'TIME', actions: ['slower', 'faster'] },
+    { label: 'MENU', actions: ['settings'] }
+];
+
+const SLOTS_PER_ACTION = 2;
+
+// Option sections stored with each profile, applied onto the live settings objects
+const OPTION_SECTIONS = {
+    gamepad: gamepadSettings,
+    mouseAim: mouseAimSettings,
+    touch: touchSettings,
+    pip: pipSettings
+};
+const OPTION_DEFAULTS = {};
+for (const name in OPTION_SECTIONS) OPTION_DEFAULTS[name] = { ...OPTION_SECTIONS[name] };
+
+const CODE_NAMES = {
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+    ShiftLeft: 'L-SHIFT', ShiftRight: 'R-SHIFT',
+    ControlLeft: 'L-CTRL', ControlRight: 'R-CTRL',
+    AltLeft: 'L-ALT', AltRight: 'R-ALT',
+    Space: 'SPACE', Escape: 'ESC', Enter: 'ENTER', Tab: 'TAB', Backspace: 'BKSP',
+    BracketLeft: '[', BracketRight: ']', Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/',
+    Backslash: '\\', Minus: '-', Equal: '=', Backquote: '`',
+    Mouse0: 'LMB', Mouse1: 'MMB', Mouse2: 'RMB'
+};
+
+let store = null;           // { active, profiles: { name: { keys, gamepad, mouseAim, touch } } }
+let layoutMap = null;       // code -> printed key for the user's layout (Chromium only)
+const heldCodes = new Set();
+const handlers = {};        // actionId -> [fn]
+const changeListeners = [];
+let captureCallback = null; // set while the settings overlay waits for a key
+
+function defaultKeys() {
+    const keys = {};
+    for (const a of ACTIONS) keys[a.id] = a.keys.slice(0, SLOTS_PER_ACTION);
+    return keys;
+}
+
+function createProfile() {
+    const profile = { keys: defaultKeys() };
+    for (const name in OPTION_DEFAULTS) profile[name] = { ...OPTION_DEFAULTS[name] };
+    return profile;
+}
+
+function loadStore() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        if (raw) {
+            const parsed = JSON.parse(raw);
+            if (parsed && parsed.profiles && parsed.profiles[parsed.active]) return parsed;
+        }
+    } catch (err) {
+        console.warn('Could not read control profiles, using defaults', err);
+    }
+    return { active: DEFAULT_PROFILE, profiles: { [DEFAULT_PROFILE]: createProfile() } };
+}
+
+function saveStore() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    } catch (err) {
+        console.warn('Could not save control profiles', err);
+    }
+}
+
+function activeProfile() {
+    return store.profiles[store.active];
+}
+
+function applyProfile() {
+    const profile = activeProfile();
+
+    // Fill in actions added after the profile was saved
+    profile.keys = profile.keys || {};
+    const defaults = defaultKeys();
+    for (const id in defaults) {
+        if (!Array.isArray(profile.keys[id])) profile.keys[id] = defaults[id];
+    }
+    for (const name in OPTION_SECTIONS) {
+        profile[name] = Object.assign({ ...OPTION_DEFAULTS[name] }, profile[name]);
+        Object.assign(OPTION_SECTIONS[name], profile[name]);
+    }
+
+    changeListeners.forEach(fn => fn());
+}
+
+/**
+ * Register a callback for whenever bindings or the active profile change
+ */
+export function onBindingsChanged(fn) {
+    changeListeners.push(fn);
+}
+
+/**
+ * Register a handler for a 'press' action
+ */
+export function onAction(actionId, fn) {
+    (handlers[actionId] = handlers[actionId] || []).push(fn);
+}
+
+export function isActionHeld(actionId) {
+    const codes = activeProfile().keys[actionId];
+    return !!codes && codes.some(code => heldCodes.has(code));
+}
+
+export function getBinding(actionId) {
+    return activeProfile().keys[actionId] || [];
+}
+
+/**
+ * Bind a key to one slot of an action. Passing null clears the slot.
+ * A key can only drive one action, so it is removed from any other action first.
+ */
+export function setBinding(actionId, slot, code) {
+    const keys = activeProfile().keys;
+    if (code) {
+        for (const id in keys) {
+            keys[id] = keys[id].filter(c => c !== code);
+        }
+    }
+    const slots = keys[actionId].slice();
+    while (slots.length < SLOTS_PER_ACTION) slots.push(null);
+    slots[slot] = code;
+    keys[actionId] = slots.filter(Boolean);
+    saveStore();
+    applyProfile();
+}
+
+/**
+ * Change one option of a profile section ('gamepad', 'mouseAim', 'touch') and persist it
+ */
+export function setOption(section, name, value) {
+    activeProfile()[section][name] = value;
+    saveStore();
+    applyProfile();
+}
+
+export function getOptions(section) {
+    return activeProfile()[section];
+}
+
+export function listProfiles() {
+    return Object.keys(store.profiles);
+}
+
+export function getActiveProfileName() {
+    return store.active;
+}
+
+export function setActiveProfile(name) {
+    if (!store.profiles[name]) return;
+    store.active = name;
+    saveStore();
+    applyProfile();
+}
+
+/**
+ * Copy the active profile under a new name and switch to it
+ */
+export function saveProfileAs(name) {
+    name = name.trim();
+    if (!name) return false;
+    store.profiles[name] = JSON.parse(JSON.stringify(activeProfile()));
+    store.active = name;
+    saveStore();
+    applyProfile();
+    return true;
+}
+
+export function deleteProfile(name) {
+    if (name === DEFAULT_PROFILE || !store.profiles[name]) return;
+    delete store.profiles[name];
+    if (store.active === name) store.active = DEFAULT_PROFILE;
+    saveStore();
+    applyProfile();
+}
+
+export function resetActiveProfile() {
+    store.profiles[store.active] = createProfile();
+    saveStore();
+    applyProfile();
+}
+
+/**
+ * Human-readable name for a binding code, using the keyboard layout when the browser exposes it
+ */
+export function codeLabel(code) {
+    if (!code) return '—';
+    const printed = layoutMap && layoutMap.get(code);
+    if (printed && printed.trim()) return printed.toUpperCase();
+    if (CODE_NAMES[code]) return CODE_NAMES[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return 'NUM ' + code.slice(6);
+    return code.toUpperCase();
+}
+
+/**
+ * Send the next key or mouse button to fn(code) instead of the game. fn(null) on cancel.
+ */
+export function captureNextInput(fn) {
+    captureCallback = fn;
+}
+
+function dispatch(code, e) {
+    if (captureCallback) {
+        const cb = captureCallback;
+        captureCallback = null;
+        e.preventDefault();
+        cb(code === 'Escape' ? null : code);
+        return;
+    }
+
+    const keys = activeProfile().keys;
+    for (const action of ACTIONS) {
+        if (action.type !== 'press' || !keys[action.id].includes(code)) continue;
+        (handlers[action.id] || []).forEach(fn => fn(e));
+    }
+}
+
+function isTypingTarget(target) {
+    return target && (target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA');
+}
+
+function isUiTarget(target) {
+    return target && target.closest && target.closest('#settings-overlay, #loadout-panel, #photo-panel, #replay-panel, .hud-button');
+}
+
+window.addEventListener('keydown', (e) => {
+    if (isTypingTarget(e.target) && !captureCallback) return;
+    heldCodes.add(e.code);
+    if (!e.repeat) dispatch(e.code, e);
+});
+
+window.addEventListener('keyup', (e) => {
+    heldCodes.delete(e.code);
+});
+
+window.addEventListener('mousedown', (e) => {
+    if (!captureCallback && isUiTarget(e.target)) return;
+    const code = `Mouse${e.button}`;
+    heldCodes.add(code);
+    dispatch(code, e);
+});
+
+window.addEventListener('mouseup', (e) => {
+    heldCodes.delete(`Mouse${e.button}`);
+});
+
+// Keys released while the window is unfocused never send keyup
+window.addEventListener('blur', () => heldCodes.clear());
+
+store = loadStore();
+applyProfile();
+
+if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+    navigator.keyboard.getLayoutMap().then((map) => {
+        layoutMap = map;
+        changeListeners.forEach(fn => fn());
+    }).catch(() => { /* not allowed in this context, use code names */ });
+}
@@ -0,0 +1,299 @@
+import * as THREE from 'three';
+import { isMouseAimActive, getAimDirection } from './mouseaim.js?v=4';
+
+// Camera modes.
+// chase: behind the jet (middle mouse orbits), cockpit: pilot's eye with the canopy overlay
+// (middle mouse turns the head), padlock: pilot's eye locked on the nearest target,
+// tactical: behind the jet looking at the selected target so both stay in frame,
+// free: detached from the jet (middle mouse looks, wheel flies it forwards/back).
+// Switching blends from the old view to the new one instead of cutting.
+
+export const CAMERA_MODES = ['chase', 'cockpit', 'padlock', 'tactical', 'free'];
+const MODE_LABELS = { chase: 'CHASE', cockpit: 'COCKPIT', padlock: 'PADLOCK', tactical: 'TACTICAL', free: 'FREE CAM' };
+
+const SWITCH_TIME = 0.6;          // seconds to blend between views
+const LABEL_TIME = 2;             // seconds the view name stays up after switching
+const CHASE_OFFSET = new THREE.Vector3(0, 5, 20);
+const CHASE_FOLLOW = 0.35;        // per-frame lerp towards the chase position
+const COCKPIT_EYE = new THREE.Vector3(0, 0.6, -1.8); // plane local
+const TACTICAL_DISTANCE = 30;     // behind the jet, on the far side from the target
+const TACTICAL_HEIGHT = 12;
+const TARGET_RANGE = 1500;        // padlock / tactical only pick targets this close
+const FREE_DOLLY_SPEED = 0.2;     // units per wheel delta unit
+const LOOK_SENSITIVITY = 0.005;   // radians per pixel
+
+let camera = null;
+let overlay = null;
+let label = null;
+let getTargets = () => [];
+
+let mode = 'chase';
+let blendFrom = null;             // { position, quaternion } of the view being left
+let blendTime = 0;
+let labelTime = 0;
+let target = null;                // padlock / tactical target (Object3D)
+
+let isLooking = false;            // middle mouse held
+let lookYaw = 0;
+let lookPitch = 0;
+let freeYaw = 0;
+let freePitch = 0;
+let freeDolly = 0;                // pending wheel movement for the free camera
+
+const chasePosition = new THREE.Vector3();
+let chaseReady = false;
+const freePosition = new THREE.Vector3();
+
+const _position = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _look = new THREE.Quaternion();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+const _matrix = new THREE.Matrix4();
+const _up = new THREE.Vector3();
+const _targetPos = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+
+/**
+ * options.getTargets() lists the objects padlock and tactical views can lock on to
+ */
+export function setupCameras(targetCamera, options = {}) {
+    camera = targetCamera;
+    if (options.getTargets) getTargets = options.getTargets;
+
+    overlay = document.createElement('div');
+    overlay.id = 'cockpit-overlay';
+    overlay.innerHTML = '<div class="canopy-bow"></div><div class="cockpit-panel"><div class="cockpit-gauge"></div><div class="cockpit-mfd"></div><div class="cockpit-mfd"></div><div class="cockpit-gauge"></div></div>';
+    document.body.appendChild(overlay);
+}
+
+export function getCameraMode() {
+    return mode;
+}
+
+export function setCameraMode(newMode) {
+    if (!camera || newMode === mode || !CAMERA_MODES.includes(newMode)) return;
+
+    // Blend from wherever the camera is now
+    blendFrom = { position: camera.position.clone(), quaternion: camera.quaternion.clone() };
+    blendTime = 0;
+    labelTime = LABEL_TIME;
+    mode = newMode;
+    lookYaw = lookPitch = 0;
+
+    if (mode === 'padlock' || mode === 'tactical') target = null; // pick the nearest one again
+    if (mode === 'chase') chaseReady = false;
+    if (mode === 'free') {
+        // Detach where the camera is, looking the same way
+        freePosition.copy(camera.position);
+        _euler.setFromQuaternion(camera.quaternion, 'YXZ');
+        freeYaw = _euler.y;
+        freePitch = _euler.x;
+    }
+}
+
+export function cycleCameraMode() {
+    setCameraMode(CAMERA_MODES[(CAMERA_MODES.indexOf(mode) + 1) % CAMERA_MODES.length]);
+}
+
+/**
+ * Views from inside the jet, where the plane model itself is hidden
+ */
+export function isCockpitView() {
+    return (mode === 'cockpit' || mode === 'padlock') && !blendFrom;
+}
+
+/**
+ * Snap to the current view without blending (after a respawn)
+ */
+export function resetCameraView() {
+    blendFrom = null;
+    chaseReady = false;
+    target = null;
+}
+
+function findNearestTarget(plane) {
+    let nearest = null;
+    let nearestDist = TARGET_RANGE * TARGET_RANGE;
+    for (const candidate of getTargets()) {
+        const d = candidate.position.distanceToSquared(plane.position);
+        if (d < nearestDist) {
+            nearestDist = d;
+            nearest = candidate;
+        }
+    }
+    return nearest;
+}
+
+// Keep the locked target until it is destroyed (removed from the scene) or out of range
+function updateTarget(plane) {
+    if (target && (!target.parent || target.position.distanceTo(plane.position) > TARGET_RANGE)) target = null;
+    if (!target) target = findNearestTarget(plane);
+    if (target) {
+        _targetPos.copy(target.position);
+        _targetPos.y += 10; // aim at the body rather than the base
+    }
+    return target;
+}
+
+/**
+ * The selected target (padlock / tactical lock, else the nearest in range), or null
+ */
+export function getCameraTarget(plane) {
+    return plane ? updateTarget(plane) : null;
+}
+
+function lookAt(eye, point, up) {
+    _matrix.lookAt(eye, point, up);
+    _quaternion.setFromRotationMatrix(_matrix);
+}
+
+function chasePose(plane) {
+    // Mouse aim: the camera looks along the aim direction, the jet flies ahead of it
+    if (isMouseAimActive()) {
+        const aim = getAimDirection();
+        const offset = _position.copy(plane.position).addScaledVector(aim, -20);
+        offset.y += 5;
+        if (!chaseReady) chasePosition.copy(offset);
+        chasePosition.lerp(offset, CHASE_FOLLOW);
+        chaseReady = true;
+        _position.copy(chasePosition);
+        lookAt(_position, _targetPos.copy(plane.position).addScaledVector(aim, 100), _up.set(0, 1, 0));
+        return;
+    }
+
+    // Middle mouse orbits while held, the view springs back when released
+    const offset = _position.copy(CHASE_OFFSET);
+    if (isLooking) {
+        offset.applyAxisAngle(_up.set(0, 1, 0), -lookYaw);
+        offset.applyAxisAngle(_up.set(1, 0, 0), -lookPitch);
+    }
+    offset.applyMatrix4(plane.matrixWorld);
+    if (!chaseReady) chasePosition.copy(offset);
+    chasePosition.lerp(offset, CHASE_FOLLOW);
+    chaseReady = true;
+
+    _position.copy(chasePosition);
+    lookAt(_position, plane.position, _up.set(0, 1, 0));
+}
+
+function cockpitPose(plane) {
+    _position.copy(COCKPIT_EYE).applyMatrix4(plane.matrixWorld);
+    // Middle mouse turns the head while held
+    _euler.set(isLooking ? -lookPitch : 0, isLooking ? -lookYaw : 0, 0, 'YXZ');
+    _quaternion.copy(plane.quaternion).multiply(_look.setFromEuler(_euler));
+}
+
+function padlockPose(plane) {
+    if (!updateTarget(plane)) {
+        cockpitPose(plane);
+        return;
+    }
+    _position.copy(COCKPIT_EYE).applyMatrix4(plane.matrixWorld);
+    _up.set(0, 1, 0).applyQuaternion(plane.quaternion);
+    lookAt(_position, _targetPos, _up);
+}
+
+function tacticalPose(plane) {
+    if (!updateTarget(plane)) {
+        chasePose(plane);
+        return;
+    }
+    // On the line from the target through the jet, a little beyond and above it
+    _forward.copy(plane.position).sub(_targetPos).setY(0);
+    // Straight over the target that line has no direction: stay behind the jet instead
+    if (_forward.lengthSq() < 1e-6) _forward.set(0, 0, 1).applyQuaternion(plane.quaternion).setY(0);
+    _forward.normalize();
+    _position.copy(plane.position).addScaledVector(_forward, TACTICAL_DISTANCE);
+    _position.y += TACTICAL_HEIGHT;
+    lookAt(_position, _targetPos, _up.set(0, 1, 0));
+}
+
+/**
+ * Fly the free camera relative to where it is looking (units along forward, right and world up)
+ */
+export function moveFreeCamera(forward, right, up) {
+    _euler.set(freePitch, freeYaw, 0, 'YXZ');
+    _look.setFromEuler(_euler);
+    freePosition.addScaledVector(_forward.set(0, 0, -1).applyQuaternion(_look), forward);
+    freePosition.addScaledVector(_forward.set(1, 0, 0).applyQuaternion(_look), right);
+    freePosition.y += up;
+}
+
+function freePose() {
+    _euler.set(freePitch, freeYaw, 0, 'YXZ');
+    _quaternion.setFromEuler(_euler);
+    if (freeDolly !== 0) {
+        _forward.set(0, 0, -1).applyQuaternion(_quaternion);
+        freePosition.addScaledVector(_forward, -freeDolly * FREE_DOLLY_SPEED);
+        freeDolly = 0;
+    }
+    _position.copy(freePosition);
+}
+
+/**
+ * Render-time: place the camera for the current mode (blending after a switch) and update the overlays.
+ * delta is real frame time, so the views still move while the simulation is paused.
+ */
+export function updateCameraView(plane, delta) {
+    if (!camera || !plane) return;
+
+    if (mode === 'cockpit') cockpitPose(plane);
+    else if (mode === 'padlock') padlockPose(plane);
+    else if (mode === 'tactical') tacticalPose(plane);
+    else if (mode === 'free') freePose();
+    else chasePose(plane);
+
+    if (blendFrom) {
+        blendTime += delta;
+        const t = THREE.MathUtils.smoothstep(blendTime / SWITCH_TIME, 0, 1);
+        camera.position.lerpVectors(blendFrom.position, _position, t);
+        camera.quaternion.slerpQuaternions(blendFrom.quaternion, _quaternion, t);
+        if (blendTime >= SWITCH_TIME) blendFrom = null;
+    } else {
+        camera.position.copy(_position);
+        camera.quaternion.copy(_quaternion);
+    }
+
+    if (overlay) overlay.style.display = isCockpitView() && mode === 'cockpit' ? 'block' : 'none';
+    updateLabel(delta);
+}
+
+function updateLabel(delta) {
+    if (!label) label = document.getElementById('view-status');
+    if (!label) return;
+    labelTime = Math.max(0, labelTime - delta);
+    // Padlock / tactical with nothing in range say so for as long as it lasts
+    const noTarget = (mode === 'padlock' || mode === 'tactical') && !target;
+    label.style.display = labelTime > 0 || noTarget ? 'block' : 'none';
+    label.innerText = noTarget ? `${MODE_LABELS[mode]}: NO TARGET` : MODE_LABELS[mode];
+}
+
+document.addEventListener('mousedown', (e) => {
+    if (e.button === 1) { // Middle Mouse
+        isLooking = true;
+        lookYaw = lookPitch = 0;
+        e.preventDefault(); // Prevent scroll
+    }
+});
+
+document.addEventListener('mouseup', (e) => {
+    if (e.button === 1) isLooking = false;
+});
+
+document.addEventListener('mousemove', (e) => {
+    if (!isLooking) return;
+    if (mode === 'free') {
+        freeYaw -= e.movementX * LOOK_SENSITIVITY;
+        freePitch = THREE.MathUtils.clamp(freePitch - e.movementY * LOOK_SENSITIVITY, -1.5, 1.5);
+        return;
+    }
+    lookYaw += e.movementX * LOOK_SENSITIVITY;
+    lookPitch += e.movementY * LOOK_SENSITIVITY;
+
+    // Allow full 360 look: clamp just shy of +/- PI to avoid gimbal issues
+    lookPitch = Math.max(-Math.PI + 0.01, Math.min(Math.PI - 0.01, lookPitch));
+});
+
+document.addEventListener('wheel', (e) => {
+    if (mode === 'free') freeDolly += e.deltaY;
+});
@@ -1,110 +1,186 @@
+import { createFlightState, resetFlightState, stepFlight, FLAP_SETTINGS, FLAP_LIMIT_SPEED, FUEL_CAPACITY, SERVICE_CEILING } from './flight.js?v=10';
+import { gamepadState } from './gamepad.js?v=2';
+import { touchState } from './touch.js?v=2';
+import { isActionHeld } from './bindings.js?v=14';
+import { isMouseAimActive, getMouseAimInput } from './mouseaim.js?v=4';
+import { updateAutopilot, isAutopilotEngaged, disengageAutopilot } from './autopilot.js?v=10';
+import { pilot, updatePilot, resetPilot } from './gforce.js?v=6';
+
 export let planeSpeed = 0;
-export function resetSpeed() { planeSpeed = 0; }
-const MAX_SPEED = 2.0;
-
-let keys = {
-    ArrowUp: false,
-    ArrowDown: false,
-    ArrowLeft: false,
-    ArrowRight: false,
-    q: false,
-    e: false,
-    w: false,
-    s: false,
-    a: false,
-    d: false,
-    Shift: false,
-    Control: false
-};
-
-window.addEventListener('keydown', (e) => {
-    if (keys.hasOwnProperty(e.key) || e.key === "Shift" || e.key === "Control") keys[e.key] = true;
-});
-
-window.addEventListener('keyup', (e) => {
-    if (keys.hasOwnProperty(e.key) || e.key === "Shift" || e.key === "Control") keys[e.key] = false;
-});
+export const flight = createFlightState();
+export function resetSpeed(options = {}) {
+    resetFlightState(flight, options);
+    resetPilot();
+    planeSpeed = 0;
+}
+const MAX_SPEED = 2.7; // full scale of the speed bar, afterburner top speed
+const SPEED_SCALE = 40; // world units/s per unit of planeSpeed
+const THROTTLE_RATE = 0.5; // throttle travel per second
+const LOW_FUEL_PCT = 15;
 
 export function getPlaneObject() {
     // Just a helper if needed
 }
 
 
-export function updateControls(plane, delta, minAlt = -Infinity, laserEnergy = 100, bombChargePct = null, onHUD = () => {}) {
+/**
+ * ground: { y, surface, slope } under the plane (see stepFlight), or null to fly with no ground contact
+ */
+export function updateControls(plane, delta, minAlt = -Infinity, gunAmmoPct = 100, weaponReadyPct = null, onHUD = () => {}, ground = null) {
     if (!plane) return;
 
-    // Throttle
-    // Arrow Up = Speed Up
-    // Arrow Down = Slow Down
-    if (keys.Shift || keys.ArrowUp) {
-        planeSpeed += delta * 1.0;
-    } else if (keys.Control || keys.ArrowDown) {
-        planeSpeed -= delta * 1.0;
+    const throttleBefore = flight.throttle;
+
+    // Throttle (default: Arrow Up/Down, Shift/Ctrl)
+    if (isActionHeld('throttleUp')) {
+        flight.throttle += delta * THROTTLE_RATE;
+    } else if (isActionHeld('throttleDown')) {
+        flight.throttle -= delta * THROTTLE_RATE;
     }
 
-    // Clamp speed
-    if (planeSpeed < 0.0) planeSpeed = 0.0;
-    if (planeSpeed > MAX_SPEED) planeSpeed = MAX_SPEED;
+    // Gamepad: triggers nudge the throttle, a HOTAS lever sets it outright
+    if (gamepadState.connected) {
+        flight.throttle += gamepadState.throttleRate * delta * THROTTLE_RATE;
+        if (gamepadState.throttle !== null) flight.throttle = gamepadState.throttle;
+    }
 
-    // Control Inputs
-    const pitchSpeed = 1.0;
-    const rollSpeed = 2.0;
-    const yawSpeed = 0.5;
+    // Touch slider sets the throttle outright
+    if (touchState.throttle !== null) {
+        flight.throttle = touchState.throttle;
+        touchState.throttle = null;
+    }
+    flight.throttle = Math.min(1, Math.max(0, flight.throttle));
 
-    // Pitch (Elevator) - W/S Only
+    // Control Inputs (-1..1)
+    // Pitch (Elevator) - default W/S
     // S -> Up (Pull back)
     // W -> Down (Push forward)
-    if (keys.s) {
-        plane.rotateX(delta * pitchSpeed);
+    let pitch = gamepadState.pitch + touchState.pitch;
+    if (isActionHeld('pitchUp')) pitch += 1;
+    if (isActionHeld('pitchDown')) pitch -= 1;
+    pitch = Math.max(-1, Math.min(1, pitch));
+
+    // Roll (Ailerons) - default Q/E
+    let roll = gamepadState.roll + touchState.roll;
+    if (isActionHeld('rollLeft')) roll += 1; // Bank Left
+    if (isActionHeld('rollRight')) roll -= 1; // Bank Right
+    roll = Math.max(-1, Math.min(1, roll));
+
+    // Yaw (Rudder) - default A/D
+    let yaw = gamepadState.yaw;
+    if (isActionHeld('yawLeft')) yaw += 1; // Yaw Left
+    if (isActionHeld('yawRight')) yaw -= 1; // Yaw Right
+    yaw = Math.max(-1, Math.min(1, yaw));
+
+    // Wheel brakes (default: .)
+    let brake = gamepadState.brake;
+    if (isActionHeld('wheelBrake')) brake = 1;
+
+    // G-LOC: an unconscious pilot flies nothing (the autopilot still can)
+    if (pilot.unconscious) {
+        pitch = roll = yaw = brake = 0;
+        flight.throttle = throttleBefore;
     }
-    if (keys.w) {
-        // Only allow pitch down if we are safely above the ground (5m buffer)
-        if (plane.position.y > minAlt + 5.0) {
-            plane.rotateX(-delta * pitchSpeed);
+    const throttleMoved = flight.throttle !== throttleBefore;
+
+    // Autopilot: any stick input hands control back to the pilot
+    if (isAutopilotEngaged() && (pitch !== 0 || roll !== 0 || yaw !== 0)) disengageAutopilot();
+    const autopilotCmd = updateAutopilot(plane, flight, delta);
+    if (autopilotCmd) {
+        ({ pitch, roll, yaw } = autopilotCmd);
+        if (autopilotCmd.throttle !== null) {
+            // Autothrottle (APP): moving the throttle disconnects
+            if (throttleMoved) disengageAutopilot();
+            else flight.throttle = autopilotCmd.throttle;
         }
+    } else if (isMouseAimActive() && !pilot.unconscious) {
+        // Mouse aim: the instructor flies any axis the player isn't touching
+        const assist = getMouseAimInput(plane);
+        if (pitch === 0) pitch = assist.pitch;
+        if (roll === 0) roll = assist.roll;
+        if (yaw === 0) yaw = assist.yaw;
     }
 
-    // Roll (Ailerons) - Q/E
-    if (keys.q) {
-        plane.rotateZ(delta * rollSpeed); // Bank Left
-    }
-    if (keys.e) {
-        plane.rotateZ(-delta * rollSpeed); // Bank Right
-    }
-
-    // Yaw (Rudder) - A/D
-    if (keys.a) {
-        plane.rotateY(delta * yawSpeed); // Yaw Left
-    }
-    if (keys.d) {
-        plane.rotateY(-delta * yawSpeed); // Yaw Right
-    }
+    // Only allow pitch down if we are safely above the ground (5m buffer)
+    if (pitch < 0 && plane.position.y <= minAlt + 5.0) pitch = 0;
 
-    // Move Forward (along local -Z)
-    plane.translateZ(-planeSpeed * 40 * delta);
+    const env = ground ? { groundY: ground.y, surface: ground.surface, slope: ground.slope } : {};
+    stepFlight(plane, flight, { pitch, roll, yaw, brake }, delta, env);
+    updatePilot(flight, delta);
+    planeSpeed = flight.airspeed / SPEED_SCALE;
 
     // Update UI (Progress Bars)
     const speedPct = Math.min(100, Math.max(0, (planeSpeed / MAX_SPEED) * 100));
     const altVal = Math.max(0, plane.position.y);
-    const altPct = Math.min(100, Math.max(0, (altVal / 500) * 100));
+    const altPct = Math.min(100, Math.max(0, (altVal / SERVICE_CEILING) * 100)); // full bar = service ceiling
 
     const speedBar = document.getElementById('speed-bar');
     const speedVal = document.getElementById('speed-val');
     if (speedBar) speedBar.style.width = `${speedPct}%`;
     if (speedVal) speedVal.innerText = `${Math.round(planeSpeed * 800)} km/h`;
 
+    const stallWarning = document.getElementById('stall-warning');
+    if (stallWarning) stallWarning.style.display = flight.stalled ? 'block' : 'none';
+
+    updateSystemsHUD();
+
     const altBar = document.getElementById('alt-bar');
     const altValText = document.getElementById('alt-val');
     if (altBar) altBar.style.width = `${altPct}%`;
     if (altValText) altValText.innerText = `${Math.round(altVal)} m`;
 
-    // Laser
+    // Fuel
+    const fuelPct = (flight.fuel / FUEL_CAPACITY) * 100;
+    const fuelBar = document.getElementById('fuel-bar');
+    const fuelVal = document.getElementById('fuel-val');
+    if (fuelBar) fuelBar.style.width = `${fuelPct}%`;
+    if (fuelVal) fuelVal.innerText = `${Math.round(fuelPct)}%`;
+
+    const fuelWarning = document.getElementById('fuel-warning');
+    if (fuelWarning) {
+        fuelWarning.style.display = flight.flameout || fuelPct < LOW_FUEL_PCT ? 'block' : 'none';
+        fuelWarning.innerText = flight.flameout ? 'FLAMEOUT' : 'LOW FUEL';
+    }
+
+    // Gun rounds left
     const laserBar = document.getElementById('laser-bar');
     const laserVal = document.getElementById('laser-val');
-    if (laserBar) laserBar.style.width = `${laserEnergy}%`;
-    if (laserVal) laserVal.innerText = `${Math.round(laserEnergy)}%`;
+    if (laserBar) laserBar.style.width = `${gunAmmoPct}%`;
+    if (laserVal) laserVal.innerText = `${Math.round(gunAmmoPct)}%`;
+
+    if (weaponReadyPct !== null) {
+        onHUD(weaponReadyPct);
+    }
+}
+
+const FLAP_LABELS = ['UP', 'HALF', 'FULL'];
 
-    if (bombChargePct !== null) {
-        onHUD(bombChargePct);
+// Gear / flaps / brakes / afterburner annunciators: green = extended, yellow = moving or overridden
+function updateSystemsHUD() {
+    const gear = document.getElementById('gear-indicator');
+    if (gear) {
+        const moving = flight.gearPosition > 0 && flight.gearPosition < 1;
+        gear.innerText = moving ? 'GEAR TRANSIT' : flight.gearPosition >= 1 ? 'GEAR DN' : 'GEAR UP';
+        gear.classList.toggle('on', flight.gearPosition >= 1);
+        gear.classList.toggle('caution', moving);
     }
+
+    const flaps = document.getElementById('flap-indicator');
+    if (flaps) {
+        const target = FLAP_SETTINGS[flight.flapSetting];
+        // Above the limit speed the flaps blow back up whatever the lever says
+        const blownBack = target > 0 && flight.airspeed > FLAP_LIMIT_SPEED;
+        flaps.innerText = blownBack ? 'FLAPS LIMIT' : `FLAPS ${FLAP_LABELS[flight.flapSetting]}`;
+        flaps.classList.toggle('on', flight.flapPosition > 0 && flight.flapPosition === target);
+        flaps.classList.toggle('caution', flight.flapPosition !== target || blownBack);
+    }
+
+    const burner = document.getElementById('ab-indicator');
+    if (burner) burner.classList.toggle('burner', flight.afterburnerLevel > 0);
+
+    const speedBrake = document.getElementById('speedbrake-indicator');
+    if (speedBrake) speedBrake.classList.toggle('caution', flight.speedBrakePosition > 0);
+
+    const wheelBrake = document.getElementById('wheelbrake-indicator');
+    if (wheelBrake) wheelBrake.classList.toggle('caution', flight.wheelBrake > 0);
 }
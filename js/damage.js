@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { DAMAGE_COMPONENTS } from './flight.js?v=10';
+
+// Damage effects: smoke trails from a damaged engine or wing, and the damage annunciators.
+// The damage itself lives in the flight state (flight.damage) and acts through the flight model.
+
+const SMOKE_LIFETIME = 2.5;     // seconds a puff hangs in the air
+const SMOKE_INTERVAL = 0.04;    // seconds between puffs at full damage
+const ENGINE_SMOKE_DAMAGE = 0.2; // engine starts smoking past this
+const WING_SMOKE_DAMAGE = 0.3;
+const MAX_PUFFS = 200;
+
+const ENGINE_OFFSET = new THREE.Vector3(0, 0, 2.2); // nozzle, plane local
+const WING_OFFSET = new THREE.Vector3(2.2, 0, 0.5); // right wing; mirrored for the left
+
+const HUD_LABELS = { wings: 'WING', engine: 'ENG', tail: 'TAIL', gear: 'GEAR' };
+
+let scene = null;
+const puffGeometry = new THREE.IcosahedronGeometry(0.6, 0);
+const puffs = []; // { mesh, age }
+let engineTimer = 0;
+let wingTimer = 0;
+const _offset = new THREE.Vector3();
+const _wingOffset = new THREE.Vector3();
+
+export function setupDamageEffects(targetScene) {
+    scene = targetScene;
+}
+
+function emitPuff(plane, offset, shade) {
+    if (puffs.length >= MAX_PUFFS) removePuff(0);
+
+    const material = new THREE.MeshBasicMaterial({
+        color: new THREE.Color(shade, shade, shade),
+        transparent: true,
+        opacity: 0.6,
+        depthWrite: false
+    });
+    const mesh = new THREE.Mesh(puffGeometry, material);
+    _offset.copy(offset).applyQuaternion(plane.quaternion);
+    mesh.position.copy(plane.position).add(_offset);
+    mesh.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+    scene.add(mesh);
+    puffs.push({ mesh, age: 0 });
+}
+
+function removePuff(index) {
+    const puff = puffs[index];
+    scene.remove(puff.mesh);
+    puff.mesh.material.dispose();
+    puffs.splice(index, 1);
+}
+
+/**
+ * Simulation step: age the trail and lay new puffs behind the damaged parts.
+ * Pass plane = null (e.g. after a crash) to let the trail fade out without adding to it.
+ */
+export function updateDamageSmoke(plane, flight, delta) {
+    if (!scene) return;
+
+    for (let i = puffs.length - 1; i >= 0; i--) {
+        const puff = puffs[i];
+        puff.age += delta;
+        if (puff.age > SMOKE_LIFETIME) {
+            removePuff(i);
+            continue;
+        }
+        // Billow out, drift up and fade
+        const t = puff.age / SMOKE_LIFETIME;
+        puff.mesh.scale.setScalar(1 + t * 4);
+        puff.mesh.position.y += delta * 1.5;
+        puff.mesh.material.opacity = 0.6 * (1 - t);
+    }
+
+    if (!plane) return;
+    const { engine, wings, wingSide } = flight.damage;
+
+    // Black smoke from the engine, thicker (more puffs) the worse it is
+    if (engine > ENGINE_SMOKE_DAMAGE) {
+        engineTimer -= delta;
+        if (engineTimer <= 0) {
+            emitPuff(plane, ENGINE_OFFSET, 0.35 - 0.25 * engine);
+            engineTimer = SMOKE_INTERVAL / engine;
+        }
+    }
+
+    // Grey vapour from the damaged wing (wingSide +1 = left, which is -X)
+    if (wings > WING_SMOKE_DAMAGE) {
+        wingTimer -= delta;
+        if (wingTimer <= 0) {
+            _wingOffset.copy(WING_OFFSET);
+            _wingOffset.x *= -wingSide;
+            emitPuff(plane, _wingOffset, 0.7);
+            wingTimer = SMOKE_INTERVAL * 2 / wings;
+        }
+    }
+}
+
+/**
+ * Render-time: one annunciator per damaged component (yellow when hit, red when badly damaged)
+ */
+export function updateDamageHUD(flight) {
+    const row = document.getElementById('damage-row');
+    if (!row) return;
+
+    let anyDamage = false;
+    for (const part of DAMAGE_COMPONENTS) {
+        const el = document.getElementById(`dmg-${part}`);
+        if (!el) continue;
+        const amount = flight.damage[part];
+        el.style.display = amount > 0 ? '' : 'none';
+        el.innerText = `${HUD_LABELS[part]} ${Math.round(amount * 100)}%`;
+        el.classList.toggle('caution', amount > 0 && amount < 0.5);
+        el.classList.toggle('failed', amount >= 0.5);
+        if (amount > 0) anyDamage = true;
+    }
+    row.style.display = anyDamage ? '' : 'none';
+}
@@ -0,0 +1,601 @@
+import * as THREE from 'three';
+
+// Force-based flight model for the F-16.
+// Coefficients are tuned to the game's world scale (1 unit/s shows as 20 km/h on the HUD),
+// so near the ground the jet stalls around 18 units/s and tops out a little above 80 units/s
+// (about 105 in afterburner).
+
+export const GRAVITY = 9.81;
+export const AIR_DENSITY = 1.225; // at ground level
+
+// Atmosphere. The world is only a few hundred metres tall, so the air is squeezed to fit: density
+// holds up near the ground and thins out quickly above ~300 m (ratio = exp(-(h / DENSITY_HEIGHT)^2)).
+// Lift, drag and control authority follow the density, thrust a little less steeply.
+const DENSITY_HEIGHT = 360;
+const THRUST_LAPSE = 0.7;        // thrust ~ density ratio ^ 0.7
+
+const EMPTY_MASS = 6500;
+const WING_AREA = 360;
+const MAX_THRUST = 45000;
+
+// Afterburner: a separate stage above military (full) throttle, ~105 instead of ~82 units/s top speed
+const AFTERBURNER_THRUST = 30000;
+export const MILITARY_POWER = 0.98; // throttle needed to keep the afterburner lit
+const AFTERBURNER_SPOOL_RATE = 2.0; // light-up per second
+
+// Fuel (kg). A full tank lasts about 5 minutes at full throttle and the jet gets lighter as it burns.
+export const FUEL_CAPACITY = 2500;
+const IDLE_FUEL_FLOW = 0.8;      // kg/s
+const MAX_FUEL_FLOW = 8.0;       // kg/s at full throttle
+const AFTERBURNER_FUEL_FLOW = 30.0; // kg/s on top of full throttle (about a minute on a full tank)
+
+// Lift curve: linear up to the stall angle, then falls away
+const CL_ALPHA = 4.5;            // per radian
+export const STALL_AOA = 0.28;   // ~16 degrees
+const POST_STALL_CL = 0.6;       // fraction of CLmax kept once fully stalled
+
+// Drag polar: CD = CD0 + K * CL^2
+const CD0 = 0.03;
+const INDUCED_DRAG_K = 0.08;
+const SIDE_FORCE_BETA = 0.1;     // side force per radian of sideslip
+
+// Service ceiling: where full military power only just matches the minimum drag of the clean jet
+// on a full tank (~550 m). The afterburner and a lighter jet get a little higher.
+export const SERVICE_CEILING = ceilingFor(MAX_THRUST, EMPTY_MASS + FUEL_CAPACITY);
+
+// Control rates (rad/s at full deflection and full authority)
+const MAX_PITCH_RATE = 1.0;
+const MAX_ROLL_RATE = 2.0;
+const MAX_YAW_RATE = 0.5;
+const RATE_RESPONSE = 6.0;       // how quickly body rates chase the commanded rate
+const CONTROL_SPEED = 25;        // airspeed where the control surfaces reach full authority
+
+// Static stability (pitch towards the trimmed AoA, yaw into the relative wind)
+const TRIM_AOA = 0.05;
+const PITCH_STABILITY = 2.0;
+const YAW_STABILITY = 1.5;
+
+// Ground roll
+export const GEAR_HEIGHT = 1.0;  // wheels on the ground: height of the plane's origin above the surface
+const BELLY_HEIGHT = 0.5;        // fuselage resting on the ground with the gear up
+// What the jet is rolling or sliding on: tyre friction, fuselage friction, sideways tyre grip, and how
+// rough it is (gear damage on a wheels-down touchdown at the tyre limit speed)
+const SURFACES = {
+    runway: { rolling: 0.02, belly: 0.5, grip: 8.0, rough: 0 },
+    grass: { rolling: 0.08, belly: 0.6, grip: 3.0, rough: 0.3 },
+    sand: { rolling: 0.15, belly: 0.8, grip: 2.0, rough: 0.2 },
+    rock: { rolling: 0.10, belly: 0.7, grip: 4.0, rough: 0.8 }
+};
+const BELLY_SKID_RATE = 0.5;     // rad/s the jet slews round while sliding on its belly
+const BRAKE_FRICTION = 0.4;      // extra deceleration (in G) with the wheel brakes full on
+export const ROTATION_SPEED = 20; // nose wheel stays down below this airspeed
+const GROUND_SETTLE_RATE = 3.0;  // nose and wings settle back onto the gear (per second)
+const NOSE_WHEEL_RATE = 0.6;     // max turn rate from nose-wheel steering (rad/s)
+const NOSE_WHEEL_GAIN = 0.2;     // turn rate per unit/s of ground speed, before the max
+const NOSE_WHEEL_FADE = 15;      // steering authority halves at this speed
+
+// Landing gear, flaps and speed brake
+const GEAR_TRANSIT_TIME = 3.0;   // seconds to extend or retract
+const GEAR_CD = 0.015;
+export const FLAP_SETTINGS = [0, 0.5, 1];
+const FLAP_RATE = 0.5;           // flap travel per second
+const FLAP_CL_GAIN = 0.25;       // +25% lift (and CLmax) at full flap: stall ~16 instead of ~18 units/s
+const FLAP_CD = 0.03;
+const FLAP_PITCH_DOWN = 0.1;     // nose-down trim change at full flap (rad/s)
+export const FLAP_LIMIT_SPEED = 35; // flaps blow back up above this airspeed
+const SPEED_BRAKE_RATE = 2.0;
+const SPEED_BRAKE_CD = 0.06;
+const SPEED_BRAKE_BUFFET = 0.15; // rad/s of shake at full deflection and 50 units/s
+
+// Structural limits (load factor, G). Past the limit the wings take damage; enough of it breaks them.
+export const POSITIVE_G_LIMIT = 9;
+export const NEGATIVE_G_LIMIT = -3;
+const ULTIMATE_LOAD = 1.5;       // instant failure at 1.5x the limit
+const STRUCTURAL_STRESS_LIMIT = 3; // G-seconds beyond the limit before the wings come off
+
+// Damage, per component 0..1 (1 = destroyed). Wrecked wings or tail are fatal; a dead engine
+// leaves a glider and broken gear a belly landing.
+export const DAMAGE_COMPONENTS = ['wings', 'engine', 'tail', 'gear'];
+const WING_DAMAGE_LIFT = 0.4;    // share of lift lost with the wings wrecked
+const WING_DAMAGE_DRAG = 0.03;
+const WING_DAMAGE_ROLL = 0.4;    // rad/s roll-off towards the damaged wing
+const TAIL_DAMAGE_AUTHORITY = 0.6; // share of pitch/yaw authority and stability lost
+const TAIL_DAMAGE_WOBBLE = 0.3;  // rad/s of shake
+const ENGINE_DAMAGE_AFTERBURNER = 0.5; // afterburner won't stay lit past this
+const PUSH_LIMIT_MARGIN = 0.3;   // G the push limiter keeps clear of the negative limit
+const G_SMOOTHING = 10;          // filters buffet and stall shake out of the reading
+
+// Touchdown limits. Past a limit the touchdown damages the jet; past FATAL_TOUCHDOWN times it, it crashes.
+const MAX_SINK_RATE = 5;         // units/s
+const MAX_TOUCHDOWN_SPEED = 30;  // units/s (600 km/h), tyre limit
+const MAX_TOUCHDOWN_BANK = 0.26; // ~15 degrees
+const MIN_TOUCHDOWN_PITCH = -0.05; // nose wheel first
+const MAX_TOUCHDOWN_PITCH = 0.3;   // tail strike
+const MAX_TOUCHDOWN_SLOPE = 0.12;  // ~7 degrees of ground slope
+const MAX_BELLY_SPEED = 25;      // units/s: faster than this on the belly and the jet breaks up
+const FATAL_TOUCHDOWN = 2;
+const FATAL_BELLY = 1.5;         // belly landings have less margin: no gear to soak up the impact
+
+// Scratch vectors
+const _forward = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _force = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+
+/**
+ * Create a fresh flight state (at rest, engine idle)
+ */
+export function createFlightState() {
+    return {
+        velocity: new THREE.Vector3(),        // world units/s
+        angularVelocity: new THREE.Vector3(), // body rates: x = pitch, y = yaw, z = roll (rad/s)
+        throttle: 0,                          // 0..1
+        afterburner: false,                   // afterburner selected (only stays lit at military power)
+        afterburnerLevel: 0,                  // 0..1 as it lights up / dies down
+        airspeed: 0,
+        aoa: 0,
+        sideslip: 0,
+        stalled: false,
+        onGround: false,
+        wheelBrake: 0,                        // 0..1 as applied on the last step
+        skidRate: 0,                          // yaw rate of a belly slide (rad/s)
+        touchdown: null,                      // contact report, set on the step the airframe touches down
+        fuel: FUEL_CAPACITY,                  // kg
+        storesMass: 0,                        // kg of weapons on board (kept by the weapon manager)
+        flameout: false,                      // engine starved of fuel: no thrust
+        gLoad: 1,                             // load factor felt by the pilot (G, positive = pushed into the seat)
+        overG: false,                         // beyond the structural limit right now
+        damage: createDamage(),
+
+        // Systems (commanded state + actual position 0..1)
+        gearDown: true,
+        gearPosition: 1,
+        flapSetting: 0,                       // index into FLAP_SETTINGS
+        flapPosition: 0,
+        speedBrake: false,
+        speedBrakePosition: 0
+    };
+}
+
+/**
+ * Back to a parked jet. options.keepFuel leaves the tank as it is (e.g. after taxiing in).
+ */
+export function resetFlightState(state, options = {}) {
+    state.velocity.set(0, 0, 0);
+    state.angularVelocity.set(0, 0, 0);
+    state.throttle = 0;
+    state.afterburner = false;
+    state.afterburnerLevel = 0;
+    state.airspeed = 0;
+    state.aoa = 0;
+    state.sideslip = 0;
+    state.stalled = false;
+    state.onGround = false;
+    state.wheelBrake = 0;
+    state.skidRate = 0;
+    state.touchdown = null;
+    if (!options.keepFuel) state.fuel = FUEL_CAPACITY;
+    state.flameout = state.fuel <= 0;
+    state.gLoad = 1;
+    state.overG = false;
+    state.damage = createDamage();
+    state.gearDown = true;
+    state.gearPosition = 1;
+    state.flapSetting = 0;
+    state.flapPosition = 0;
+    state.speedBrake = false;
+    state.speedBrakePosition = 0;
+}
+
+/**
+ * Gear lever. Returns false if the weight-on-wheels interlock stops a retraction.
+ */
+export function toggleGear(state) {
+    if (state.gearDown && state.onGround) return false;
+    if (!state.gearDown && state.damage.gear >= 1) return false; // Jammed
+    state.gearDown = !state.gearDown;
+    return true;
+}
+
+/**
+ * Pump fuel in (kg). Relights the engine after a flameout.
+ */
+export function addFuel(state, amount) {
+    state.fuel = Math.min(FUEL_CAPACITY, state.fuel + amount);
+    if (state.fuel > 0) state.flameout = false;
+}
+
+function createDamage() {
+    return { wings: 0, engine: 0, tail: 0, gear: 0, wingSide: 1 }; // wingSide: +1 left, -1 right
+}
+
+/**
+ * Add damage, e.g. { wings: 0.3, engine: 0.1 }. Each component is capped at 1.
+ */
+export function applyDamage(state, damage) {
+    const d = state.damage;
+    // The first hit on the wings decides which one rolls off
+    if (damage.wings > 0 && d.wings === 0) d.wingSide = Math.random() < 0.5 ? 1 : -1;
+    for (const part of DAMAGE_COMPONENTS) {
+        if (damage[part] > 0) d[part] = Math.min(1, d[part] + damage[part]);
+    }
+    // Wrecked gear won't hold the jet up
+    if (d.gear >= 1) state.gearDown = false;
+}
+
+/**
+ * Reason the jet can no longer fly, or null
+ */
+export function getFatalDamage(state) {
+    if (state.damage.wings >= 1) return 'wing failure';
+    if (state.damage.tail >= 1) return 'tail destroyed';
+    return null;
+}
+
+/**
+ * Ground crew fix-up while parked: all damage repaired
+ */
+export function repairAirframe(state) {
+    state.overG = false;
+    state.damage = createDamage();
+}
+
+export function cycleFlaps(state) {
+    state.flapSetting = (state.flapSetting + 1) % FLAP_SETTINGS.length;
+}
+
+export function toggleSpeedBrake(state) {
+    state.speedBrake = !state.speedBrake;
+}
+
+/**
+ * Afterburner on/off. Lighting it pushes the throttle through to full; pulling the
+ * throttle back below military power cancels it.
+ */
+export function toggleAfterburner(state) {
+    if (state.afterburner) {
+        state.afterburner = false;
+    } else if (!state.flameout && state.damage.engine < ENGINE_DAMAGE_AFTERBURNER) {
+        state.afterburner = true;
+        state.throttle = 1;
+    }
+}
+
+/**
+ * Air density at an altitude, as a fraction of the ground-level density
+ */
+export function densityRatio(altitude) {
+    const h = Math.max(0, altitude) / DENSITY_HEIGHT;
+    return Math.exp(-h * h);
+}
+
+/**
+ * Figures for the loadout screen: all-up mass on a full tank, thrust-to-weight at military power,
+ * service ceiling and sea-level stall speed (units/s) with storesMass kg of weapons
+ */
+export function loadoutPerformance(storesMass) {
+    const mass = EMPTY_MASS + FUEL_CAPACITY + storesMass;
+    return {
+        mass,
+        thrustToWeight: MAX_THRUST / (mass * GRAVITY),
+        ceiling: ceilingFor(MAX_THRUST, mass),
+        stallSpeed: Math.sqrt(2 * mass * GRAVITY / (AIR_DENSITY * WING_AREA * CL_ALPHA * STALL_AOA))
+    };
+}
+
+// Altitude where the thrust left after the lapse equals the minimum drag (flying at the best L/D)
+function ceilingFor(thrust, mass) {
+    const minDrag = mass * GRAVITY * 2 * Math.sqrt(CD0 * INDUCED_DRAG_K);
+    const ratio = (minDrag / thrust) ** (1 / THRUST_LAPSE);
+    return DENSITY_HEIGHT * Math.sqrt(Math.log(1 / ratio));
+}
+
+function moveTowards(current, target, maxStep) {
+    if (Math.abs(target - current) <= maxStep) return target;
+    return current + Math.sign(target - current) * maxStep;
+}
+
+// Run the actuators towards their commanded positions
+function updateSystems(state, delta) {
+    // Wrecked gear folds up at once
+    if (state.damage.gear >= 1) state.gearPosition = 0;
+    state.gearPosition = moveTowards(state.gearPosition, state.gearDown ? 1 : 0, delta / GEAR_TRANSIT_TIME);
+
+    const flapTarget = state.airspeed > FLAP_LIMIT_SPEED ? 0 : FLAP_SETTINGS[state.flapSetting];
+    state.flapPosition = moveTowards(state.flapPosition, flapTarget, FLAP_RATE * delta);
+
+    state.speedBrakePosition = moveTowards(state.speedBrakePosition, state.speedBrake ? 1 : 0, SPEED_BRAKE_RATE * delta);
+
+    if (state.afterburner && (state.throttle < MILITARY_POWER || state.flameout
+        || state.damage.engine >= ENGINE_DAMAGE_AFTERBURNER)) {
+        state.afterburner = false;
+    }
+    state.afterburnerLevel = moveTowards(state.afterburnerLevel, state.afterburner ? 1 : 0, AFTERBURNER_SPOOL_RATE * delta);
+
+    // Fuel burn follows the throttle (and the afterburner); a dry tank flames the engine out
+    if (!state.flameout && state.damage.engine < 1) {
+        const flow = IDLE_FUEL_FLOW + (MAX_FUEL_FLOW - IDLE_FUEL_FLOW) * state.throttle
+            + AFTERBURNER_FUEL_FLOW * state.afterburnerLevel;
+        state.fuel = Math.max(0, state.fuel - flow * delta);
+        if (state.fuel <= 0) state.flameout = true;
+    }
+}
+
+// Load factor: centripetal acceleration from the pitch rate at this airspeed, plus the share of
+// gravity along the jet's up axis (1 G level, -1 G inverted). Over-G bends the wings.
+function updateLoadFactor(state, delta) {
+    const n = state.airspeed * state.angularVelocity.x / GRAVITY + _up.y;
+    state.gLoad += (n - state.gLoad) * Math.min(1, G_SMOOTHING * delta);
+
+    const excess = Math.max(state.gLoad - POSITIVE_G_LIMIT, NEGATIVE_G_LIMIT - state.gLoad);
+    state.overG = excess > 0;
+    if (state.overG) applyDamage(state, { wings: excess * delta / STRUCTURAL_STRESS_LIMIT });
+    if (state.gLoad > POSITIVE_G_LIMIT * ULTIMATE_LOAD || state.gLoad < NEGATIVE_G_LIMIT * ULTIMATE_LOAD) {
+        applyDamage(state, { wings: 1 });
+    }
+}
+
+/**
+ * Judge a touchdown report (flight.touchdown), on the runway or off-field.
+ * Returns { outcome: 'landed' | 'hard' | 'belly' | 'crash', reason, damage, severity }.
+ * A 'hard' landing stays on the wheels but damages the jet; a 'belly' landing slides to a stop
+ * on the fuselage. Apply the damage with applyDamage (a clean off-field landing still wears the gear).
+ * severity is the worst touchdown value as a fraction of its limit: under 1 is within limits,
+ * past the fatal factor is a crash.
+ */
+export function assessTouchdown(touchdown) {
+    const wheels = touchdown.gearPosition >= 1;
+    const surface = SURFACES[touchdown.surface] || SURFACES.grass;
+    const sink = touchdown.sinkRate / MAX_SINK_RATE;
+    const bank = Math.abs(touchdown.bank) / MAX_TOUCHDOWN_BANK;
+    const speed = touchdown.speed / (wheels ? MAX_TOUCHDOWN_SPEED : MAX_BELLY_SPEED);
+    const slope = (touchdown.slope || 0) / MAX_TOUCHDOWN_SLOPE;
+    const severity = Math.max(sink, bank, speed, slope);
+
+    const fatal = wheels ? FATAL_TOUCHDOWN : FATAL_BELLY;
+    const crash = (reason) => ({ outcome: 'crash', reason, damage: {}, severity });
+    if (sink > fatal) return crash('sink rate too high');
+    if (bank > fatal) return crash('cartwheeled');
+    if (speed > fatal) return crash('too fast');
+    if (slope > fatal) return crash('ground too steep');
+
+    // Within the fatal limits: each exceedance breaks something (gear fully broken at the fatal limit)
+    const damage = { wings: 0, engine: 0, tail: 0, gear: 0 };
+    const reasons = [];
+    if (bank > 1) {
+        damage.wings += (bank - 1) * 0.8;
+        reasons.push('wing strike');
+    }
+
+    if (!wheels) {
+        // On the belly the engine intake and the underside take the beating, worse on rough ground
+        damage.engine += (0.2 + 0.3 * Math.max(sink, speed, slope)) * (1 + surface.rough);
+        damage.tail += 0.1 * (1 + surface.rough);
+        reasons.push(touchdown.surface === 'runway' ? 'gear not down' : 'off-field belly landing');
+        return { outcome: 'belly', reason: reasons.join(', '), damage, severity };
+    }
+
+    if (sink > 1) {
+        damage.gear += sink - 1;
+        reasons.push('hard landing');
+    }
+    if (speed > 1) {
+        damage.gear += speed - 1;
+        reasons.push('too fast');
+    }
+    if (slope > 1) {
+        damage.gear += slope - 1;
+        reasons.push('sloping ground');
+    }
+    // Off-field: rough ground knocks the gear about, more so the faster the rollout (wear, not a bad landing)
+    damage.gear += surface.rough * touchdown.speed / MAX_TOUCHDOWN_SPEED;
+    if (touchdown.pitch < MIN_TOUCHDOWN_PITCH) {
+        damage.gear += 0.5;
+        reasons.push('nose wheel first');
+    }
+    if (touchdown.pitch > MAX_TOUCHDOWN_PITCH) {
+        damage.tail += 0.4 + (touchdown.pitch - MAX_TOUCHDOWN_PITCH);
+        reasons.push('tail strike');
+    }
+
+    if (reasons.length === 0) return { outcome: 'landed', reason: null, damage, severity };
+    return { outcome: 'hard', reason: reasons.join(', '), damage, severity };
+}
+
+/**
+ * Lift coefficient for a given angle of attack (radians) and flap position (0..1)
+ */
+export function liftCoefficient(aoa, flaps = 0) {
+    const a = Math.abs(aoa);
+    const clMax = CL_ALPHA * STALL_AOA;
+    let cl;
+    if (a <= STALL_AOA) {
+        cl = CL_ALPHA * a;
+    } else {
+        // Lift breaks down over the next ~10 degrees, then behaves like a flat plate
+        const t = Math.min(1, (a - STALL_AOA) / 0.18);
+        const plate = Math.sin(2 * Math.min(a, Math.PI / 2)) * clMax * POST_STALL_CL;
+        cl = THREE.MathUtils.lerp(clMax, Math.min(clMax * POST_STALL_CL, plate), t);
+    }
+    return Math.sign(aoa) * cl * (1 + FLAP_CL_GAIN * flaps);
+}
+
+/**
+ * Advance the flight model by one step.
+ *
+ * @param {THREE.Object3D} plane - Aircraft object, moved and rotated in place
+ * @param {Object} state - State from createFlightState()
+ * @param {Object} input - { pitch, roll, yaw } in -1..1 (positive = nose up, bank left, yaw left),
+ *                         brake 0..1 (wheel brakes). On the ground yaw also steers the nose wheel.
+ * @param {number} delta - Seconds
+ * @param {Object} env - { groundY, surface, slope } height of the ground under the plane (omit to fly
+ *                       with no ground), what it is made of ('runway', 'grass', 'sand' or 'rock') and
+ *                       its slope in radians
+ */
+export function stepFlight(plane, state, input, delta, env = {}) {
+    if (delta <= 0) return;
+
+    updateSystems(state, delta);
+
+    const v = state.velocity;
+    const q = plane.quaternion;
+    _forward.set(0, 0, -1).applyQuaternion(q);
+    _up.set(0, 1, 0).applyQuaternion(q);
+    _right.set(1, 0, 0).applyQuaternion(q);
+
+    // Air data
+    const airspeed = v.length();
+    const vFwd = v.dot(_forward);
+    state.airspeed = airspeed;
+    state.aoa = airspeed > 1 ? Math.atan2(-v.dot(_up), vFwd) : 0;
+    state.sideslip = airspeed > 1 ? Math.atan2(v.dot(_right), vFwd) : 0;
+    state.stalled = !state.onGround && Math.abs(state.aoa) > STALL_AOA;
+
+    // Thin air: less lift and drag for the same airspeed, mushier controls, less thrust
+    const density = densityRatio(plane.position.y);
+    const dynamicPressure = 0.5 * AIR_DENSITY * density * airspeed * airspeed;
+    const authority = Math.min(1, airspeed * Math.sqrt(density) / CONTROL_SPEED) ** 2;
+    const damage = state.damage;
+    const tailAuthority = 1 - TAIL_DAMAGE_AUTHORITY * damage.tail;
+
+    // --- Forces ---
+    const mass = EMPTY_MASS + state.fuel + state.storesMass;
+    _force.set(0, -mass * GRAVITY, 0);
+
+    // Thrust along the nose
+    if (!state.flameout) {
+        const thrust = state.throttle * MAX_THRUST + state.afterburnerLevel * AFTERBURNER_THRUST;
+        _force.addScaledVector(_forward, thrust * density ** THRUST_LAPSE * (1 - damage.engine));
+    }
+
+    if (airspeed > 1) {
+        const cl = liftCoefficient(state.aoa, state.flapPosition) * (1 - WING_DAMAGE_LIFT * damage.wings);
+        const cd = CD0 + INDUCED_DRAG_K * cl * cl
+            + WING_DAMAGE_DRAG * damage.wings
+            + GEAR_CD * state.gearPosition
+            + FLAP_CD * state.flapPosition
+            + SPEED_BRAKE_CD * state.speedBrakePosition;
+
+        // Lift is perpendicular to the relative wind, in the plane of symmetry
+        _dir.copy(_right).cross(v).normalize();
+        _force.addScaledVector(_dir, dynamicPressure * WING_AREA * cl);
+
+        // Parasitic + induced drag opposes motion
+        _force.addScaledVector(v, -dynamicPressure * WING_AREA * cd / airspeed);
+
+        // Side force pushes the velocity back towards the nose when slipping
+        _force.addScaledVector(_right, -dynamicPressure * WING_AREA * SIDE_FORCE_BETA * state.sideslip);
+    }
+
+    v.addScaledVector(_force, delta / mass);
+
+    // --- Rotation ---
+    const w = state.angularVelocity;
+    let pitchCmd = (input.pitch || 0) * MAX_PITCH_RATE * authority * tailAuthority;
+    let rollCmd = (input.roll || 0) * MAX_ROLL_RATE * authority;
+    let yawCmd = (input.yaw || 0) * MAX_YAW_RATE * authority * tailAuthority;
+
+    // Nose-wheel steering: turn rate grows with ground speed, then fades so it isn't twitchy at speed
+    const wheelsDown = state.gearPosition >= 1;
+    if (state.onGround && wheelsDown) {
+        const groundSpeed = Math.hypot(v.x, v.z);
+        const steer = Math.min(NOSE_WHEEL_RATE, groundSpeed * NOSE_WHEEL_GAIN) / (1 + groundSpeed / NOSE_WHEEL_FADE);
+        yawCmd += (input.yaw || 0) * steer;
+    }
+
+    if (!state.onGround) {
+        pitchCmd -= PITCH_STABILITY * (state.aoa - TRIM_AOA) * authority * tailAuthority;
+        yawCmd -= YAW_STABILITY * state.sideslip * authority * tailAuthority;
+
+        // Damage: a holed wing rolls the jet towards it, a shot-up tail shakes it about
+        rollCmd += WING_DAMAGE_ROLL * damage.wingSide * damage.wings * authority;
+        if (damage.tail > 0) {
+            pitchCmd += (Math.random() - 0.5) * TAIL_DAMAGE_WOBBLE * damage.tail * authority;
+            yawCmd += (Math.random() - 0.5) * TAIL_DAMAGE_WOBBLE * damage.tail * authority;
+        }
+
+        // Flaps pitch the nose down; the speed brake shakes the airframe
+        pitchCmd -= FLAP_PITCH_DOWN * state.flapPosition * authority;
+        if (state.speedBrakePosition > 0) {
+            const buffet = SPEED_BRAKE_BUFFET * state.speedBrakePosition * Math.min(1, airspeed / 50);
+            pitchCmd += (Math.random() - 0.5) * buffet;
+            rollCmd += (Math.random() - 0.5) * buffet;
+        }
+    }
+
+    // Push limiter: like the F-16's flight controls, full forward stick stops just inside the negative
+    // G limit. Pulls are not limited, so over-G is down to the pilot.
+    if (airspeed > 1) {
+        pitchCmd = Math.max(pitchCmd, (NEGATIVE_G_LIMIT + PUSH_LIMIT_MARGIN - _up.y) * GRAVITY / airspeed);
+    }
+
+    if (state.stalled) {
+        // Ailerons go mushy and a wing tends to drop
+        rollCmd = rollCmd * 0.3 + (Math.random() - 0.5) * 1.5;
+        pitchCmd += (Math.random() - 0.5) * 0.4;
+    }
+
+    const k = Math.min(1, RATE_RESPONSE * delta);
+    w.x += (pitchCmd - w.x) * k;
+    w.y += (yawCmd - w.y) * k;
+    w.z += (rollCmd - w.z) * k;
+
+    updateLoadFactor(state, delta);
+
+    // --- Wheels (or belly) on the ground ---
+    const groundY = env.groundY;
+    const wasOnGround = state.onGround;
+    const contactHeight = BELLY_HEIGHT + (GEAR_HEIGHT - BELLY_HEIGHT) * state.gearPosition;
+    const brake = wheelsDown ? Math.min(1, Math.max(0, input.brake || 0)) : 0;
+    const surface = SURFACES[env.surface] || SURFACES.grass;
+    state.onGround = false;
+    state.wheelBrake = 0;
+    if (groundY !== null && groundY !== undefined && plane.position.y + v.y * delta <= groundY + contactHeight) {
+        state.onGround = true;
+        state.wheelBrake = brake;
+
+        const pitch = Math.asin(THREE.MathUtils.clamp(_forward.y, -1, 1));
+        const bank = Math.atan2(_right.y, _up.y);
+        if (!wasOnGround) {
+            // Touchdown report for the landing check
+            state.touchdown = {
+                sinkRate: Math.max(0, -v.y),
+                speed: airspeed,
+                pitch,
+                bank,
+                gearPosition: state.gearPosition,
+                surface: env.surface || 'grass',
+                slope: env.slope || 0
+            };
+            // Without wheels to track straight the jet slews round as it slides
+            if (!wheelsDown) state.skidRate = (Math.random() < 0.5 ? -1 : 1) * BELLY_SKID_RATE * (0.5 + Math.random() * 0.5);
+        }
+
+        plane.position.y = groundY + contactHeight;
+        if (v.y < 0) v.y = 0;
+
+        // Rolling (or sliding) friction plus the brakes
+        const friction = wheelsDown ? surface.rolling + BRAKE_FRICTION * brake : surface.belly;
+        const speedAlong = v.length();
+        if (speedAlong > 0) {
+            const decel = Math.min(speedAlong, friction * GRAVITY * delta);
+            v.multiplyScalar(1 - decel / speedAlong);
+        }
+
+        // Tyres roll where the nose points instead of sliding sideways (less so on soft ground)
+        if (wheelsDown) v.addScaledVector(_right, -v.dot(_right) * Math.min(1, surface.grip * delta));
+
+        // The nose wheel holds the nose down until there's enough elevator to rotate, and the
+        // wings sit level on the gear; the nose and wings settle back whenever they aren't held up
+        if (airspeed < ROTATION_SPEED || w.x < 0) w.x = -pitch * GROUND_SETTLE_RATE;
+        w.z = -bank * GROUND_SETTLE_RATE;
+        if (!wheelsDown) w.y = state.skidRate * Math.min(1, speedAlong / 10);
+    }
+
+    plane.rotateX(w.x * delta);
+    plane.rotateY(w.y * delta);
+    plane.rotateZ(w.z * delta);
+
+    plane.position.addScaledVector(v, delta);
+}
@@ -1,40 +1,65 @@
 import * as THREE from 'three';
-import { TerrainManager, getHeight } from './terrain.js?v=33';
-import { loadF16, loadTree, loadRoundTree, loadRunwayTexture, loadBuilding, loadPalmTree, loadMushroomTree, loadBaobabTree, loadLowpolyTree, loadAIBuilding } from './assets.js?v=222';
-import { updateControls, getPlaneObject, resetSpeed, planeSpeed } from './controls.js?v=9';
+import { TerrainManager, getHeight, getSurfaceType } from './terrain.js?v=36';
+import { loadF16, loadTree, loadRoundTree, loadRunwayTexture, loadBuilding, loadPalmTree, loadMushroomTree, loadBaobabTree, loadLowpolyTree, loadAIBuilding } from './assets.js?v=223';
+import { updateControls, getPlaneObject, resetSpeed, flight } from './controls.js?v=30';
+import {
+    stepFlight, assessTouchdown, toggleGear, cycleFlaps, toggleSpeedBrake, toggleAfterburner, addFuel,
+    applyDamage, getFatalDamage, repairAirframe, FUEL_CAPACITY, GEAR_HEIGHT
+} from './flight.js?v=10';
+import { setupAircraftParts, updateAircraftParts } from './aircraft.js?v=1';
+import { pollGamepad, gamepadState } from './gamepad.js?v=2';
+import { onAction, setOption, onBindingsChanged } from './bindings.js?v=14';
+import { setupSettings, toggleSettings } from './settings.js?v=15';
+import { setupTouchControls, updateTouchControls, applyTouchSettings } from './touch.js?v=2';
+import { mouseAimSettings, updateMouseAim, resetMouseAim } from './mouseaim.js?v=4';
+import { SimClock } from './simclock.js?v=1';
+import { setupGForceEffects, updateGForceHUD } from './gforce.js?v=6';
+import { setupDamageEffects, updateDamageSmoke, updateDamageHUD } from './damage.js?v=3';
+import {
+    setupAutopilot, updateAutopilotHUD, disengageAutopilot,
+    toggleAltitudeHold, toggleHeadingHold, toggleWingsLevel, toggleApproach
+} from './autopilot.js?v=10';
+import { setupCameras, updateCameraView, setCameraMode, cycleCameraMode, isCockpitView, resetCameraView, getCameraTarget } from './camera.js?v=6';
+import { pipSettings, setupPip, renderPip, trackBomb, endBombTrack, showLaserHit } from './pip.js?v=2';
+import {
+    setupMissiles, updateSeeker, updateMissiles, updateMissileHUD, fireMissile, setMissileType, getSeekerReadout, resetSeeker, getMissiles
+} from './missiles.js?v=4';
+import {
+    setupWeapons, rearmWeapons, updateWeapons, updateWeaponsHUD, getSelectedStation, selectNextStation, consumeRound,
+    getAmmo, getAmmoPct, getReadyPct, getStoresMass, showWeaponMessage, toggleLoadout
+} from './weapons.js?v=3';
+import { setupTargetPod, toggleTargetPod, cyclePodMode, designateTarget, getDesignation, resetTargetPod } from './targetpod.js?v=4';
+import { setupPhotoMode, isPhotoMode, togglePhotoMode, updatePhotoMode, renderPhotoFrame } from './photomode.js?v=9';
+import {
+    setupRecorder, recordFrame, recordEvent, isReplaying, toggleReplay, toggleReplayPlayback, updateReplay, getReplayFlight
+} from './recorder.js?v=7';
 
 // Global variables
 let camera, scene, renderer;
 let plane;
 let clock;
+let simClock;
 let startY = 10;
 let terrainManager;
 
-// Bomb Tracker
-let bombTrackerRenderer = null;
-let bombTrackerCamera = null;
-let bombTrackerContainer = null;
-let activeBomb = null; // Currently tracked bomb
-let bombTrackerHideTime = null; // When to hide the tracker
-
-// Camera Control Variables
-let isLooking = false;
-let camYaw = 0;
-let camPitch = 0;
-
 // Explosion Vars
 let isCrashed = false;
-let isTaxiing = false;
+let isBellyLanding = false; // sliding to a stop on the fuselage
 let readyToLand = false;
-let taxiTarget = null;
-let taxiFinalRotation = 0;
+let isParked = false; // stopped on a runway: rearmed, refuelled and repaired
+let obstacleContacts = new Set(); // obstacles the plane was scraping on the last step
+const GRAZE_DEPTH = 3; // how far into an obstacle's hitbox still counts as a graze
 let explosions = [];
 let bullets = [];
 let bombs = [];
-let lastBombTime = performance.now() - 3000;
-let laserEnergy = 100;
+let isRefuelling = false; // parked on a runway after taxiing in, tank filling
+const REFUEL_RATE = 250;  // kg/s (a full tank in 10 s)
 let jetFlame = null;
+let afterburnerEffect = null; // { plume, diamonds, light }
 let points = 0;
+let crashResetTime = null; // sim time (s) at which a crashed plane respawns
+const queuedActions = []; // player actions waiting for the next simulation step
+const SIM_STEP = 1 / 60; // fixed simulation step (s)
 
 // HUD Overlays
 let reticleCanvas, reticleCtx;
@@ -42,6 +67,9 @@ const RETICLE_FORWARD = 200; // distance ahead of plane
 const RETICLE_UP = 2;       // lowered by 5 units
 const POINTS_PER_TREE = 1;
 const POINTS_PER_BUILDING = 3;
+const LANDING_POINTS = { landed: 5, hard: 2, belly: 1 }; // for a landing after flying (not bounces)
+const GREASER_POINTS = 2;     // bonus for a smooth runway landing
+const GREASER_SEVERITY = 0.5; // touchdown severity (see assessTouchdown) that counts as smooth
 
 init();
 // Animation handled inside init via requestAnimationFrame on load
@@ -61,8 +89,11 @@ async function init() {
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.shadowMap.enabled = true;
     document.body.appendChild(renderer.domElement);
+    setupGForceEffects(renderer.domElement);
+    setupDamageEffects(scene);
 
     clock = new THREE.Clock();
+    simClock = new SimClock(SIM_STEP);
 
     // Lighting
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
@@ -154,12 +185,14 @@ async function init() {
         // Let's spawn at local Z = 40 (near one end), facing -Z (down the runway).
 
         // Plane Local position relative to Runway
-        const localStartPos = new THREE.Vector3(0, 15 + 1.0, 40);
+        // Resting on the gear at the start of the runway
+        const localStartPos = new THREE.Vector3(0, 15 + GEAR_HEIGHT, 40);
 
         // Transform to World
         const worldStartPos = localStartPos.applyMatrix4(startRunway.matrixWorld);
 
         plane = await loadF16();
+        setupAircraftParts(plane);
         plane.position.copy(worldStartPos);
         plane.rotation.y = startRunway.rotation.y; // Align orientation
 
@@ -171,6 +204,7 @@ async function init() {
         console.error("No start runway found!");
         // Fallback
         plane = await loadF16();
+        setupAircraftParts(plane);
         plane.position.set(0, 10, 0);
         scene.add(plane);
         createJetFlame();
@@ -183,189 +217,213 @@ async function init() {
 
     setupMinimap();
     setupReticle();
-    setupBombTracker();
-
-    // Start loop
-    animate();
 
-    // Mouse Look Listeners
-    document.addEventListener('mousedown', (e) => {
-        if (e.button === 1) { // Middle Mouse
-            isLooking = true;
-            e.preventDefault(); // Prevent scroll
+    // Padlock and tactical views lock on to the big targets: boss baobabs, buildings and anything moving
+    setupCameras(camera, { getTargets: getLockableTargets });
+    setupMissiles(scene, {
+        getTargets: getLockableTargets,
+        getAimPoint: getTargetAimPoint,
+        onHit: onMissileHit,
+        onMiss: (position) => createExplosion(position, 1)
+    });
+    // Picture-in-picture feeds share the main renderer; the target cam follows the designated point
+    setupPip(renderer, scene, {
+        simClock,
+        getPlane: () => plane,
+        getTarget: getTargetCamPoint
+    });
+    setupTargetPod(scene, { getPlane: () => plane, collectHeat });
+    setupPhotoMode({ renderer, scene, camera });
+
+    // Flight recorder: replayed explosions go through the normal effect
+    setupRecorder({
+        simClock,
+        scene,
+        getPlane: () => plane,
+        onEvent: (event) => {
+            if (event.type === 'explosion') createExplosion(new THREE.Vector3().fromArray(event.position), event.size, false);
         }
     });
 
-    document.addEventListener('mouseup', (e) => {
-        if (e.button === 1) {
-            isLooking = false;
+    // Controls menu pauses the simulation while it is open
+    let pausedBeforeSettings = false;
+    setupSettings({
+        onOpen: () => {
+            pausedBeforeSettings = simClock.paused;
+            simClock.paused = true;
+        },
+        onClose: () => {
+            simClock.paused = pausedBeforeSettings;
         }
     });
 
-    document.addEventListener('mousemove', (e) => {
-        if (isLooking) {
-            const sensitivity = 0.005;
-            camYaw += e.movementX * sensitivity;
-            camPitch += e.movementY * sensitivity;
-
-            // Allow full 360 look: clamp just shy of +/- PI to avoid gimbal issues
-            camPitch = Math.max(-Math.PI + 0.01, Math.min(Math.PI - 0.01, camPitch));
-        }
+    // Weapon stations; the loadout screen comes up before the first take-off (paused, like the menu)
+    let pausedBeforeLoadout = false;
+    setupWeapons({
+        simClock,
+        onOpen: () => {
+            pausedBeforeLoadout = simClock.paused;
+            simClock.paused = true;
+        },
+        onClose: () => {
+            simClock.paused = pausedBeforeLoadout;
+        },
+        // Only before the first take-off or stopped on a runway, where the jet gets rearmed anyway
+        canEditLoadout: () => !!plane && !isCrashed && (simClock.time === 0 || isParked),
+        getStatusExtra: (station) => station.missile ? getSeekerReadout() : ''
     });
+    toggleLoadout();
+
+    // On-screen stick, throttle and weapon buttons (touch devices only)
+    setupTouchControls({
+        onFire: () => queueAction(fireLasers),
+        onBomb: () => queueAction(releaseWeapon),
+        onWeaponNext: () => queueAction(selectNextStation),
+        onTiltToggle: (enabled) => setOption('touch', 'tilt', enabled)
+    });
+    onBindingsChanged(applyTouchSettings);
+
+    // Approach mode picks the nearest loaded runway
+    setupAutopilot({ getRunways: () => terrainManager.getRunways() });
+
+    // Start loop
+    animate();
 }
 
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
-    updateReticlePosition();
+    resizeReticle();
+    drawReticle();
 }
 
 function animate() {
     requestAnimationFrame(animate);
 
-    const delta = clock.getDelta();
+    // Photo mode and replays freeze the world; only the camera (and the replayed jet) moves
+    const frameDelta = clock.getDelta();
+    if (!isPhotoMode() && !isReplaying()) {
+        simClock.advance(frameDelta, (step) => {
+            storePreviousPoses();
+            stepSimulation(step);
+        });
+    }
+
+    // Draw the world between the last two simulation steps
+    applyInterpolatedPoses(simClock.alpha);
+
+    if (isReplaying()) {
+        updateReplay(plane, isPhotoMode() ? 0 : frameDelta);
+        updateExplosions(frameDelta);
+        terrainManager.update(plane.position);
+    }
+    const visualState = isReplaying() ? getReplayFlight() : flight;
+
+    updatePhotoMode(frameDelta);
+    if (!isCrashed || isPhotoMode() || isReplaying()) updateCameraView(plane, frameDelta);
+    updateMouseAim(plane, camera);
+    updateTouchControls(flight.throttle);
+    updateAircraftParts(plane, visualState);
+    updateJetFlame(visualState);
+    drawReticle();
+    updateHUD(getReadyPct(getSelectedStation().id));
+    updateSimStatus();
+    updateBombCue();
+    updateWeaponsHUD();
+    updateMissileHUD(camera, !!plane && !isCrashed && !isReplaying(), simClock.paused || isPhotoMode());
+    updateAutopilotHUD(plane);
+    updateGForceHUD(flight);
+    updateDamageHUD(flight);
+
+    // From the cockpit the jet's own model would fill the view
+    const hidePlane = plane && plane.visible && isCockpitView();
+    if (hidePlane) plane.visible = false;
+    if (!renderPhotoFrame()) renderer.render(scene, camera);
+    if (hidePlane) plane.visible = true;
+    renderPip(isPhotoMode());
+    drawMinimap();
+
+    restoreSimPoses();
+}
+
+function stepSimulation(delta) {
+    // Player actions (fire, bomb) are applied at step boundaries
+    while (queuedActions.length > 0) {
+        queuedActions.shift()();
+    }
+
+    pollGamepad();
+    if (gamepadState.firePressed) fireLasers();
+    if (gamepadState.bombPressed) releaseWeapon();
+
+    // Stores weigh the jet down until they're released; the gun recharges
+    updateWeapons(delta);
+    flight.storesMass = getStoresMass();
 
     // Update game logic
     if (plane && !isCrashed) {
-        if (isTaxiing) {
-            updateTaxi(delta);
-            // Simple camera follow during taxi (no look)
-            const offset = new THREE.Vector3(0, 5, 20).applyMatrix4(plane.matrixWorld);
-            camera.position.lerp(offset, 0.1);
-            camera.lookAt(plane.position);
+        if (isBellyLanding) {
+            updateBellySlide(delta);
         } else {
             terrainManager.update(plane.position);
 
-            // Calculate Safe Minimum Altitude (Ground or Runway)
-            let safeY = getHeight(plane.position.x, plane.position.z);
-            const runways = terrainManager.getRunways();
-            for (const r of runways) {
-                // Check if we are "above" this runway (XZ bounds)
-                // Convert plane pos to runway local space for accurate check
-                const localP = plane.position.clone();
-                r.worldToLocal(localP);
-                if (Math.abs(localP.x) < 20 && Math.abs(localP.z) < 60) {
-                    // Runway Surface world Y
-                    safeY = Math.max(safeY, r.position.y + 15);
-                }
-            }
+            // Ground under the plane: a runway's paved surface, otherwise the terrain
+            const ground = getGroundUnder(plane.position);
 
-            updateControls(plane, delta, safeY, laserEnergy, getBombChargePct(), updateHUD);
+            updateControls(plane, delta, ground.y, getAmmoPct('cannon'), getReadyPct(getSelectedStation().id), updateHUD, ground);
 
-            // Camera follow logic
-            const relativeCameraOffset = new THREE.Vector3(0, 5, 20);
+            // Over-G can tear the wings off
+            checkFatalDamage();
 
-            if (isLooking) {
-                relativeCameraOffset.applyAxisAngle(new THREE.Vector3(0, 1, 0), -camYaw);
-                relativeCameraOffset.applyAxisAngle(new THREE.Vector3(1, 0, 0), -camPitch);
-            } else {
-                camYaw = 0;
-                camPitch = 0;
-            }
+            // Stopped on a runway: service the jet (once per stop)
+            const parked = ground.runway !== null && flight.onGround && flight.airspeed < 0.5;
+            if (parked && !isParked) servicePlane();
+            isParked = parked;
 
-            const cameraOffset = relativeCameraOffset.applyMatrix4(plane.matrixWorld);
-            camera.position.lerp(cameraOffset, 0.35); // Increased from 0.2 to 0.35 for even faster follow
-            camera.lookAt(plane.position);
-
-            // Altitude Logic (Ceiling)
-            if (plane.position.y > 500) {
-                plane.position.y = 500;
-                // Level off: If pitching up (negative rotation X locally? No, positive is nose down? Wait.)
-                // Controls: S -> rotateX(positive). W -> rotateX(negative).
-                // Usually Standard: rotateX positive is Pitch UP? 
-                // Let's check controls.js: keys.s { plane.rotateX(delta * pitchSpeed) }
-                // keys.w { plane.rotateX(-delta * pitchSpeed) }
-                // In ThreeJS default, looking down negative Z:
-                // Pitch Up (Nose Up) -> Rotate X Positive.
-                // Pitch Down (Nose Down) -> Rotate X Negative.
-
-                // So if > 500, we want to prevent Pitch Up. 
-                // And ideally strictly force angle to 0 if it is positive (Nose Up).
-
-                // Note: plane.rotation order is usually 'XYZ'. The local rotation might be complex if banking.
-                // But simplified for this game:
-                // We just want to dampen 'Up' pitch. Since we update incrementally, we might drift.
-                // Let's just force position clamp. And maybe gently rotate X back to 0 if > 0?
-                // Actually, just preventing further ascent is done by clamp. 
-                // "Level off" implies visual change.
-
-                // We need to check local rotation X.
-                // Ideally we shouldn't manipulate rotation directly if it's accumulated quaternion, 
-                // but this simple game uses Euler accumulation via rotate method.
-                // Let's just hard clamp position and maybe nudge rotation.
-
-                // Nudge X rotation towards 0
-                // We don't have easy access to local Euler component without extraction.
-                // But we can just say "don't let Y increase".
-
-                // Implementation:
-                // 1. Clamp Y.
-                // 2. If trying to pitch up? 
-                // Let's just slowly correct pitch to 0?
-
-                // Easier: just set y=500. Users will naturally pitch down.
-                // BUT user explicitly said "have it level off".
-
-                // Simple Leveling:
-                // Look at World Direction. If Y component is positive (pointing up), rotate to flatten?
-                // That's complex math to get right with Roll.
-                // Alternative: Just clamp Y.
+            // Refuelling stops once the tank is full or the jet starts rolling
+            if (isRefuelling) {
+                if (ground.runway !== null && flight.onGround && flight.airspeed < 2) {
+                    addFuel(flight, REFUEL_RATE * delta);
+                    if (flight.fuel >= FUEL_CAPACITY) isRefuelling = false;
+                } else {
+                    isRefuelling = false;
+                }
             }
 
-            if (plane.position.y > 30) {
+            if (plane.position.y > ground.y + 30) {
                 readyToLand = true;
             }
 
-            // Hard Clamp for visual robustness
-            if (plane.position.y > 500) plane.position.y = 500;
-
-            // Collision Detection
-            let onRunway = false;
-
-            // 0. Runway Check
-            // runways already defined above
-            for (const r of runways) {
-                // World to Local
-                const localPos = plane.position.clone();
-                r.worldToLocal(localPos);
-
-                // Check Local Bounds (Runway 20x100 -> x: -10..10, z: -50..50)
-                // Relaxed checking for gameplay smoothness
-                if (Math.abs(localPos.x) < 10 && Math.abs(localPos.z) < 50) {
-                    // Check World Y for height (simpler than local Y sometimes if we assume flat runway)
-                    // r.position.y is center. Surface is +15.
-                    const surfaceY = r.position.y + 15;
-
-                    if (plane.position.y < surfaceY + 2.0) {
-                        if (readyToLand) {
-                            // Touchdown
-                            if (planeSpeed * 800 < 400) {
-                                startTaxi(r);
-                                onRunway = true;
-                                readyToLand = false;
-                            } else {
-                                console.log("Too fast to land!", planeSpeed * 800);
-                                triggerCrash();
-                                onRunway = true;
-                            }
-                        } else {
-                            // On runway, taking off
-                            onRunway = true;
-                        }
-                        break;
-                    }
-                }
-            }
-
-            if (!onRunway) {
-                // 1. Ground
-                const groundHeight = getHeight(plane.position.x, plane.position.z);
-                if (plane.position.y < groundHeight + 0.5) {
+            // Touchdown: gear, sink rate, attitude and speed decide the outcome, wherever it happens
+            if (flight.touchdown && !isCrashed) {
+                const touchdown = flight.touchdown;
+                flight.touchdown = null;
+                const assessment = assessTouchdown(touchdown);
+                const { outcome, reason, damage } = assessment;
+                if (outcome === 'hard' || outcome === 'belly') console.log(`${outcome === 'hard' ? 'Hard' : 'Belly'} landing:`, reason, touchdown);
+                if (outcome !== 'crash') damagePlane(damage);
+                if (isCrashed) {
+                    // Broke something fatal
+                } else if (outcome === 'crash') {
+                    console.log("Bad landing:", reason, touchdown);
                     triggerCrash();
+                } else if (outcome === 'belly' || flight.damage.gear >= 1) {
+                    // Gear up or collapsed: down on the belly
+                    startBellyLanding(readyToLand ? { ...assessment, outcome: 'belly' } : null, ground);
+                } else if (readyToLand) {
+                    onLanded(assessment, ground);
                 }
+                readyToLand = false;
+            }
 
-                // 2. Trees
+            // Collision Detection
+            // Contact with the ground itself is handled by the flight model and the touchdown check;
+            // obstacles are only checked away from the runways. Clipping the edge or top of an
+            // obstacle damages the jet (once per obstacle), going deeper is a crash.
+            const contacts = new Set();
+            if (!ground.runway && !isCrashed) {
+                // 1. Trees
                 const { activeTrees, activeBaobabTrees } = terrainManager.getTrees();
                 
                 // Check regular trees
@@ -389,9 +447,8 @@ function animate() {
 
                     // Allow collisions slightly below tree position (some trees have geometry below pivot)
                     if (distXZ < hitRadius && plane.position.y > tree.position.y - 2 && plane.position.y < tree.position.y + hitHeight) {
-                        console.log("Tree Hit!");
-                        triggerCrash();
-                        break;
+                        const graze = hitRadius - distXZ < GRAZE_DEPTH || tree.position.y + hitHeight - plane.position.y < GRAZE_DEPTH;
+                        if (hitObstacle(tree, graze, { wings: 0.25, engine: 0.15 }, "Tree", contacts)) break;
                     }
                 }
                 
@@ -412,23 +469,23 @@ function animate() {
 
                     // Allow collisions slightly below tree position
                     if (distXZ < hitRadius && plane.position.y > tree.position.y - 2 && plane.position.y < tree.position.y + hitHeight) {
-                        console.log("Baobab Tree Hit!");
-                        triggerCrash();
-                        break;
+                        const graze = hitRadius - distXZ < GRAZE_DEPTH || tree.position.y + hitHeight - plane.position.y < GRAZE_DEPTH;
+                        if (hitObstacle(tree, graze, { wings: 0.25, engine: 0.15 }, "Baobab Tree", contacts)) break;
                     }
                 }
 
-                // 3. Buildings - precise Box3
+                // 2. Buildings - precise Box3
                 const buildings = terrainManager.getBuildings ? terrainManager.getBuildings() : [];
                 for (const bld of buildings) {
                     const box = new THREE.Box3().setFromObject(bld);
                     if (box.containsPoint(plane.position)) {
-                        triggerCrash();
-                        break;
+                        // Skimming the roof takes out the gear and scrapes the tail
+                        const graze = box.max.y - plane.position.y < GRAZE_DEPTH;
+                        if (hitObstacle(bld, graze, { gear: 0.5, tail: 0.2 }, "Building", contacts)) break;
                     }
                 }
 
-                // 4. Mountains - Use raycast for precise surface collision
+                // 3. Mountains - Use raycast for precise surface collision
                 const mountains = terrainManager.getMountains();
                 for (const mountain of mountains) {
                     // Quick distance check first (optimization)
@@ -450,38 +507,131 @@ function animate() {
                         const hitPoint = intersects[0].point;
                         // If plane is below the mountain surface at this XZ position
                         if (plane.position.y < hitPoint.y + 2) { // 2m buffer
-                            console.log("Mountain Hit!");
-                            triggerCrash();
-                            break;
+                            // Within the buffer it's a scrape along the slope; below the surface, a crash
+                            const graze = plane.position.y >= hitPoint.y;
+                            if (hitObstacle(mountain, graze, { gear: 0.4, wings: 0.2, engine: 0.1 }, "Mountain", contacts)) break;
                         }
                     }
                 }
             }
+            obstacleContacts = contacts;
         }
     }
 
+    // Smoke from damaged parts (the trail fades out after a crash)
+    updateDamageSmoke(plane && !isCrashed ? plane : null, flight, delta);
+
     updateBullets(delta);
     updateExplosions(delta);
-    updateJetFlame();
-    updateReticlePosition();
     updateBombs(delta);
-    updateHUD(getBombChargePct());
+    updateBombImpact();
+    updateCcrp();
+    setMissileType(getSelectedStation().missile || null);
+    updateSeeker(plane && !isCrashed ? plane : null, delta);
+    updateMissiles(isCrashed ? null : plane, delta);
+
+    // Respawn after a crash
+    if (crashResetTime !== null && simClock.time >= crashResetTime) {
+        crashResetTime = null;
+        resetAfterCrash();
+    }
 
-    renderer.render(scene, camera);
-    drawMinimap();
-    
-    // Render bomb tracker if active
-    if (activeBomb && bombTrackerRenderer && bombTrackerCamera) {
-        updateBombTrackerCamera();
-        bombTrackerRenderer.render(scene, bombTrackerCamera);
+    recordFrame(plane, flight);
+}
+
+// Interpolated rendering
+// Moving objects whose render pose is interpolated between simulation steps
+function getInterpolatedObjects() {
+    const objects = bullets.map(b => b.mesh).concat(bombs.map(b => b.mesh));
+    if (plane) objects.push(plane);
+    return objects;
+}
+
+function storePreviousPoses() {
+    for (const obj of getInterpolatedObjects()) {
+        if (!obj.userData.prevPose) {
+            obj.userData.prevPose = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+        }
+        obj.userData.prevPose.position.copy(obj.position);
+        obj.userData.prevPose.quaternion.copy(obj.quaternion);
     }
-    
-    // Check if we should hide the bomb tracker
-    if (bombTrackerHideTime && performance.now() >= bombTrackerHideTime) {
-        hideBombTracker();
+}
+
+function applyInterpolatedPoses(alpha) {
+    for (const obj of getInterpolatedObjects()) {
+        const prev = obj.userData.prevPose;
+        if (!prev) continue; // Spawned during the last step
+        if (!obj.userData.simPose) {
+            obj.userData.simPose = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+        }
+        const sim = obj.userData.simPose;
+        sim.position.copy(obj.position);
+        sim.quaternion.copy(obj.quaternion);
+
+        obj.position.lerpVectors(prev.position, sim.position, alpha);
+        obj.quaternion.slerpQuaternions(prev.quaternion, sim.quaternion, alpha);
+        obj.updateMatrixWorld();
+    }
+}
+
+function restoreSimPoses() {
+    for (const obj of getInterpolatedObjects()) {
+        const sim = obj.userData.simPose;
+        if (!sim || !obj.userData.prevPose) continue;
+        obj.position.copy(sim.position);
+        obj.quaternion.copy(sim.quaternion);
+        obj.updateMatrixWorld();
+    }
+}
+
+function updateSimStatus() {
+    const status = document.getElementById('sim-status');
+    if (!status) return;
+
+    if (simClock.paused) {
+        status.innerText = 'PAUSED';
+        status.style.display = 'block';
+    } else if (simClock.timeScale !== 1) {
+        status.innerText = `TIME x${simClock.timeScale}`;
+        status.style.display = 'block';
+    } else {
+        status.style.display = 'none';
     }
 }
 
+// Target cam: the pod's designated point, else the camera's target (its body rather than its base)
+const targetCamPoint = new THREE.Vector3();
+function getTargetCamPoint() {
+    const designated = getDesignation();
+    if (designated) return designated;
+    const target = getCameraTarget(plane);
+    return target ? targetCamPoint.copy(target.position).setY(target.position.y + 10) : null;
+}
+
+// Heat signatures for the targeting pod's thermal modes (everything else is ambient ground)
+function collectHeat(heat) {
+    const { activeTrees, activeBaobabTrees } = terrainManager.getTrees();
+    for (const tree of activeTrees) heat.set(tree, 0.45);
+    for (const tree of activeBaobabTrees) heat.set(tree, 0.55);
+    for (const building of terrainManager.getBuildings()) heat.set(building, 0.7);
+    for (const bomb of bombs) heat.set(bomb.mesh, bomb.kind === 'rocket' && bomb.age < ROCKET_BURN ? 0.9 : 0.4);
+    for (const missile of getMissiles()) heat.set(missile.mesh, 0.9);
+    for (const target of terrainManager.getMovingTargets()) heat.set(target, 0.8);
+    for (const exp of explosions) heat.set(exp.mesh, 1 - exp.age / 4); // cooling as it spreads
+    if (plane) heat.set(plane, 0.6);
+    if (jetFlame) heat.set(jetFlame, 1);
+    if (afterburnerEffect) {
+        heat.set(afterburnerEffect.plume, 1);
+        heat.set(afterburnerEffect.diamonds, 1);
+    }
+}
+
+function queueAction(action) {
+    if ((simClock && simClock.paused) || isPhotoMode() || isReplaying()) return;
+    queuedActions.push(action);
+}
+
+
 // ... existing triggerCrash ... createExplosion ... updateExplosions ... fireLasers ... updateBullets ...
 
 // Minimap
@@ -502,126 +652,100 @@ function setupMinimap() {
     minimapCtx = minimapCanvas.getContext('2d');
 }
 
+// Full-screen overlay: the aiming ring ahead of the nose, plus the CCIP pipper and bomb-fall line
 function setupReticle() {
     reticleCanvas = document.createElement('canvas');
-    reticleCanvas.width = 48;
-    reticleCanvas.height = 48;
     reticleCanvas.id = 'reticle';
     reticleCanvas.style.position = 'absolute';
-    reticleCanvas.style.top = '50%';
-    reticleCanvas.style.left = '50%';
-    reticleCanvas.style.transform = 'translate(-50%, -50%)';
+    reticleCanvas.style.top = '0';
+    reticleCanvas.style.left = '0';
     reticleCanvas.style.pointerEvents = 'none';
     reticleCanvas.style.zIndex = '5';
-
     reticleCtx = reticleCanvas.getContext('2d');
-    reticleCtx.clearRect(0, 0, reticleCanvas.width, reticleCanvas.height);
-    reticleCtx.strokeStyle = 'rgba(0,0,0,0.9)';
-    reticleCtx.lineWidth = 2;
-
-    // Outer ring
-    reticleCtx.beginPath();
-    reticleCtx.arc(24, 24, 14, 0, Math.PI * 2);
-    reticleCtx.stroke();
-
-    // Cross lines
-    const c = 24;
-    const len = 16;
-    reticleCtx.beginPath();
-    reticleCtx.moveTo(c - len, c);
-    reticleCtx.lineTo(c - 4, c);
-    reticleCtx.moveTo(c + 4, c);
-    reticleCtx.lineTo(c + len, c);
-    reticleCtx.moveTo(c, c - len);
-    reticleCtx.lineTo(c, c - 4);
-    reticleCtx.moveTo(c, c + 4);
-    reticleCtx.lineTo(c, c + len);
-    reticleCtx.stroke();
+    resizeReticle();
 
     document.body.appendChild(reticleCanvas);
 }
 
-function setupBombTracker() {
-    // Get the bomb tracker container from HTML
-    bombTrackerContainer = document.getElementById('bomb-tracker');
-    
-    if (!bombTrackerContainer) {
-        console.warn('Bomb tracker container not found');
-        return;
-    }
-    
-    // Create camera
-    bombTrackerCamera = new THREE.PerspectiveCamera(60, 320 / 240, 0.1, 500);
-    
-    // Create separate renderer
-    bombTrackerRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: false });
-    bombTrackerRenderer.setSize(320, 240);
-    bombTrackerRenderer.shadowMap.enabled = true;
-    
-    // Append to container
-    bombTrackerContainer.appendChild(bombTrackerRenderer.domElement);
+function resizeReticle() {
+    reticleCanvas.width = window.innerWidth;
+    reticleCanvas.height = window.innerHeight;
 }
 
-function updateBombTrackerCamera() {
-    if (!bombTrackerCamera || !plane || !activeBomb) return;
-    
-    // Camera positioned 10m behind the plane
-    const offset = new THREE.Vector3(0, 0, 10); // 10 units behind
-    const cameraPos = offset.applyQuaternion(plane.quaternion).add(plane.position);
-    
-    bombTrackerCamera.position.copy(cameraPos);
-    bombTrackerCamera.lookAt(activeBomb.position);
-}
+const PIPPER_RADIUS = 10;
+const _reticlePoint = new THREE.Vector3();
+const _pipperPoint = new THREE.Vector3();
 
-function showBombTracker(bomb) {
-    activeBomb = bomb;
-    bombTrackerHideTime = null;
-    if (bombTrackerContainer) {
-        bombTrackerContainer.style.display = 'block';
-    }
+// World point to canvas pixels (in place), or null when it's behind the camera
+function toScreen(point) {
+    point.project(camera);
+    if (point.z > 1) return null;
+    point.set((point.x + 1) * 0.5 * reticleCanvas.width, (-point.y + 1) * 0.5 * reticleCanvas.height, 0);
+    return point;
 }
 
-function hideBombTracker() {
-    activeBomb = null;
-    bombTrackerHideTime = null;
-    if (bombTrackerContainer) {
-        bombTrackerContainer.style.display = 'none';
-    }
-}
+/**
+ * Redrawn every frame: ring and cross ahead of the nose, and with bombs selected in flight the
+ * continuously computed impact point (CCIP) with the fall line from the reticle down to it
+ */
+function drawReticle() {
+    if (!reticleCtx) return;
+    reticleCtx.clearRect(0, 0, reticleCanvas.width, reticleCanvas.height);
+    if (!camera || !plane) return;
 
-function scheduleBombTrackerHide() {
-    // Keep showing for 2 more seconds after impact
-    bombTrackerHideTime = performance.now() + 2000;
-}
+    // Point ahead of the plane (forward is -Z in local space)
+    const reticle = toScreen(plane.localToWorld(_reticlePoint.set(0, RETICLE_UP, -RETICLE_FORWARD)));
+    if (!reticle) return;
 
-function updateReticlePosition() {
-    if (!reticleCanvas || !camera || !plane) return;
+    reticleCtx.strokeStyle = 'rgba(0,0,0,0.9)';
+    reticleCtx.lineWidth = 2;
 
-    // Point ahead of the plane (forward is -Z in local space)
-    const target = new THREE.Vector3(0, RETICLE_UP, -RETICLE_FORWARD);
-    plane.localToWorld(target);
+    // Outer ring
+    reticleCtx.beginPath();
+    reticleCtx.arc(reticle.x, reticle.y, 14, 0, Math.PI * 2);
+    reticleCtx.stroke();
 
-    const projected = target.clone().project(camera);
-    const x = (projected.x + 1) * 0.5 * window.innerWidth;
-    const y = (-projected.y + 1) * 0.5 * window.innerHeight;
+    // Cross lines
+    const len = 16;
+    reticleCtx.beginPath();
+    reticleCtx.moveTo(reticle.x - len, reticle.y);
+    reticleCtx.lineTo(reticle.x - 4, reticle.y);
+    reticleCtx.moveTo(reticle.x + 4, reticle.y);
+    reticleCtx.lineTo(reticle.x + len, reticle.y);
+    reticleCtx.moveTo(reticle.x, reticle.y - len);
+    reticleCtx.lineTo(reticle.x, reticle.y - 4);
+    reticleCtx.moveTo(reticle.x, reticle.y + 4);
+    reticleCtx.lineTo(reticle.x, reticle.y + len);
+    reticleCtx.stroke();
 
-    reticleCanvas.style.left = `${x}px`;
-    reticleCanvas.style.top = `${y}px`;
-}
+    // CCIP: the impact predicted this sim step
+    if (isCrashed || isReplaying() || flight.onGround || !isBombStation(getSelectedStation())) return;
+    if (!bombImpactValid) return;
+    const pipper = toScreen(_pipperPoint.copy(bombImpact));
+    if (!pipper) return;
 
-function getBombChargePct() {
-    const now = performance.now();
-    const elapsed = now - lastBombTime;
-    return Math.max(0, Math.min(1, elapsed / BOMB_COOLDOWN_MS)) * 100;
+    const dx = pipper.x - reticle.x;
+    const dy = pipper.y - reticle.y;
+    const dist = Math.hypot(dx, dy);
+    reticleCtx.beginPath();
+    reticleCtx.arc(pipper.x, pipper.y, PIPPER_RADIUS, 0, Math.PI * 2);
+    reticleCtx.moveTo(pipper.x + 1.5, pipper.y);
+    reticleCtx.arc(pipper.x, pipper.y, 1.5, 0, Math.PI * 2);
+    if (dist > PIPPER_RADIUS + 14) {
+        // Bomb-fall line, ring to ring
+        reticleCtx.moveTo(reticle.x + dx / dist * 14, reticle.y + dy / dist * 14);
+        reticleCtx.lineTo(pipper.x - dx / dist * PIPPER_RADIUS, pipper.y - dy / dist * PIPPER_RADIUS);
+    }
+    reticleCtx.stroke();
 }
 
-function updateHUD(bombCharge = null) {
-    // Bomb charge (0-100) if provided
-    if (bombCharge !== null) {
+function updateHUD(weaponReady = null) {
+    // Selected station's reload (0-100) if provided
+    if (weaponReady !== null) {
         const bombBar = document.getElementById('bomb-bar');
         const bombVal = document.getElementById('bomb-val');
-        if (bombBar) bombBar.style.width = `${bombCharge}%`;
-        if (bombVal) bombVal.innerText = `${Math.round(bombCharge)}%`;
+        if (bombBar) bombBar.style.width = `${weaponReady}%`;
+        if (bombVal) bombVal.innerText = `${Math.round(weaponReady)}%`;
     }
 
     // Points slider (0-20)
@@ -630,6 +754,9 @@ function updateHUD(bombCharge = null) {
     const clamped = Math.max(0, Math.min(20, points));
     if (ptsBar) ptsBar.style.width = `${(clamped / 20) * 100}%`;
     if (ptsVal) ptsVal.innerText = `${clamped} / 20`;
+
+    const refuel = document.getElementById('refuel-status');
+    if (refuel) refuel.style.display = isRefuelling ? 'block' : 'none';
 }
 
 function drawMinimap() {
@@ -730,60 +857,117 @@ function drawMinimap() {
     minimapCtx.restore();
 }
 
-// Taxi Logic
-function startTaxi(runway) {
-    if (isTaxiing) return;
-    console.log("Landing successful! Taxiing...");
-    isTaxiing = true;
+// Paved top of a runway block (20x100, see terrain.js); its sloping sides are embankment, not runway
+const RUNWAY_HALF_WIDTH = 10;
+const RUNWAY_HALF_LENGTH = 50;
+
+// Ground under a point: the paved surface of a runway, otherwise the terrain.
+// slope is the terrain's steepest angle at the point (radians), flat on a runway.
+function getGroundUnder(position) {
+    const terrainY = getHeight(position.x, position.z);
+    for (const r of terrainManager.getRunways()) {
+        const local = position.clone();
+        r.worldToLocal(local);
+        if (Math.abs(local.x) < RUNWAY_HALF_WIDTH && Math.abs(local.z) < RUNWAY_HALF_LENGTH) {
+            // r.position.y is the centre of the runway block, the surface is 15 above it
+            return { y: Math.max(terrainY, r.position.y + 15), surface: 'runway', slope: 0, runway: r };
+        }
+    }
+    const d = 2; // central differences over a few units
+    const gradX = (getHeight(position.x + d, position.z) - getHeight(position.x - d, position.z)) / (2 * d);
+    const gradZ = (getHeight(position.x, position.z + d) - getHeight(position.x, position.z - d)) / (2 * d);
+    const slope = Math.atan(Math.sqrt(gradX * gradX + gradZ * gradZ));
+    return { y: terrainY, surface: getSurfaceType(terrainY), slope, runway: null };
+}
+
+// Points for a landing (null assessment = a bounce or a touch-and-go, not scored)
+function scoreLanding(assessment, ground) {
+    if (!assessment) return 0;
+    let earned = LANDING_POINTS[assessment.outcome] || 0;
+    if (assessment.outcome === 'landed' && ground.runway && assessment.severity < GREASER_SEVERITY) earned += GREASER_POINTS;
+    points += earned;
+    recordEvent('landing', { target: `${assessment.outcome} on ${ground.surface}`, points: earned });
+    return earned;
+}
+
+// Landing (runway or off-field): the pilot keeps control for the rollout and taxies in by hand
+function onLanded(assessment, ground) {
+    console.log("Landing successful!", ground.surface);
+    disengageAutopilot(false);
+    const earned = scoreLanding(assessment, ground);
 
     const instructions = document.getElementById('instructions');
-    if (instructions) instructions.innerHTML = "<h1 style='color:green;'>LANDED! TAXIING...</h1>";
-
-    // Target: Start point of runway (Local Z + 40)
-    // Local point
-    const localTarget = new THREE.Vector3(0, 15 + 1.0, 40);
-    // World point
-    taxiTarget = localTarget.applyMatrix4(runway.matrixWorld);
-    taxiFinalRotation = runway.rotation.y;
-}
-
-function updateTaxi(delta) {
-    if (!taxiTarget || !plane) return;
-
-    // Move towards target
-    const dir = new THREE.Vector3().subVectors(taxiTarget, plane.position);
-    // Ignore small Y diffs
-    dir.y = 0;
-    const dist = dir.length();
-
-    if (dist < 0.5) {
-        // Arrived
-        isTaxiing = false;
-        taxiTarget = null;
-
-        // Final Snap
-        plane.rotation.set(0, taxiFinalRotation, 0);
-        resetSpeed();
-        laserEnergy = 100;
-
-        const instructions = document.getElementById('instructions');
-        if (instructions) instructions.innerHTML = "Pitch: W/S | Roll: Q/E<br>Throttle: Up/Down Arrows | Rudder: A/D<br>R: Reset";
-        console.log("Taxi complete. Ready.");
-        return;
+    const title = ground.runway ? 'LANDED!' : `LANDED ON ${ground.surface.toUpperCase()}!`;
+    if (instructions) instructions.innerHTML = `<h1 style='color:green;'>${title} +${earned}</h1>`;
+}
+
+// Damage to the jet (collisions, hard landings, weapons fire); only fatal damage ends the flight
+function damagePlane(damage) {
+    applyDamage(flight, damage);
+    checkFatalDamage();
+}
+
+function checkFatalDamage() {
+    if (isCrashed) return;
+    const fatal = getFatalDamage(flight);
+    if (fatal) {
+        console.log("Fatal damage:", fatal);
+        triggerCrash(`${fatal.toUpperCase()}!`);
+    }
+}
+
+// Contact with an obstacle. Returns true when it ended the flight.
+function hitObstacle(object, graze, damage, name, contacts) {
+    if (!graze) {
+        console.log(`${name} Hit!`);
+        triggerCrash();
+        return true;
+    }
+    contacts.add(object);
+    if (!obstacleContacts.has(object)) {
+        console.log(`${name} grazed`);
+        // Faster impacts hurt more
+        const impact = Math.min(2, Math.max(0.5, flight.airspeed / 40));
+        const scaled = {};
+        for (const part in damage) scaled[part] = damage[part] * impact;
+        damagePlane(scaled);
     }
+    return isCrashed;
+}
+
+// Parked on a runway: rearm, refuel (over time) and repair
+function servicePlane() {
+    rearmWeapons();
+    isRefuelling = flight.fuel < FUEL_CAPACITY;
+    repairAirframe(flight);
+
+    const instructions = document.getElementById('instructions');
+    if (instructions) instructions.innerHTML = "Pitch: W/S | Roll: Q/E<br>Throttle: Up/Down Arrows | Rudder: A/D<br>R: Reset";
+}
+
+// Gear-up landing (runway or off-field): slide to a stop on the fuselage, then respawn
+function startBellyLanding(assessment, ground) {
+    if (isBellyLanding) return;
+    console.log("Belly landing!", ground.surface);
+    isBellyLanding = true;
+    flight.throttle = 0;
+    disengageAutopilot(false);
+    const earned = scoreLanding(assessment, ground);
 
-    dir.normalize();
-    // Taxi speed
-    plane.position.add(dir.multiplyScalar(30 * delta));
+    const instructions = document.getElementById('instructions');
+    if (instructions) instructions.innerHTML = `<h1 style='color:orange;'>BELLY LANDING! +${earned}</h1>`;
+}
 
-    // Smooth Surface Height follow
-    // Just keep wheels on runway Y
-    // taxiTarget.y is safe.
-    plane.position.y = taxiTarget.y;
+function updateBellySlide(delta) {
+    // The flight model handles the sliding friction (per surface); no control inputs, engine off
+    flight.throttle = 0;
+    terrainManager.update(plane.position);
+    const ground = getGroundUnder(plane.position);
+    stepFlight(plane, flight, {}, delta, { groundY: ground.y, surface: ground.surface, slope: ground.slope });
 
-    // Rotate to face target
-    const lookT = plane.position.clone().add(dir);
-    plane.lookAt(lookT);
+    if (flight.airspeed < 0.5 && crashResetTime === null) {
+        crashResetTime = simClock.time + 2;
+    }
 }
 
 // Jet Engine Flame
@@ -838,36 +1022,120 @@ function createJetFlame() {
 
     // Add as child of plane so it moves with it
     plane.add(jetFlame);
+
+    createAfterburnerEffect();
 }
 
-function updateJetFlame() {
+// state: the live flight state, or the replayed one
+function updateJetFlame(state = flight) {
     if (!jetFlame) return;
 
-    // Scale based on speed (0 at idle, 1 at MAX_SPEED)
-    const MAX_SPEED = 2.0; // Same as controls.js
-    const speedRatio = Math.min(1, planeSpeed / MAX_SPEED);
+    // Scale based on throttle (0 at idle, 1 at full power); no flame after a flameout
+    const burner = state.afterburnerLevel;
+    const engineOut = state.flameout || state.damage.engine >= 1;
+    const throttleRatio = engineOut ? 0 : state.throttle + burner * 0.4;
 
-    // No flame when speed is 0
-    if (speedRatio <= 0.01) {
+    // No flame at idle
+    if (throttleRatio <= 0.01) {
         jetFlame.scale.set(0, 0, 0);
     } else {
         // Scale flame uniformly - since geometry origin is at base, only tip extends
-        jetFlame.scale.set(speedRatio, speedRatio, speedRatio);
+        jetFlame.scale.set(throttleRatio, throttleRatio, throttleRatio);
     }
 
     // Add slight flicker effect
     const flicker = 0.9 + Math.random() * 0.2;
     jetFlame.scale.x *= flicker;
     jetFlame.scale.z *= flicker;
+
+    updateAfterburnerEffect(burner);
+}
+
+// Afterburner: long additive plume with pulsing shock diamonds and an orange heat-glow light
+function createAfterburnerEffect() {
+    const plumeLength = 8;
+    const plumeGeo = new THREE.ConeGeometry(0.7, plumeLength, 12, 1, true);
+    // Base at the nozzle (local origin), point trailing away
+    plumeGeo.translate(0, plumeLength / 2, 0);
+
+    // White-blue at the nozzle fading to orange
+    const colors = [];
+    const positions = plumeGeo.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+        const t = positions.getY(i) / plumeLength; // 0 at nozzle, 1 at the end
+        colors.push(1.0, 0.9 - t * 0.4, 0.8 - t * 0.8);
+    }
+    plumeGeo.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+    const plume = new THREE.Mesh(plumeGeo, new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        opacity: 0.7,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    }));
+    plume.rotation.x = Math.PI / 2; // Extend backward (+Z)
+    plume.position.set(0, 0, 1.8);
+    plume.visible = false;
+    plane.add(plume);
+
+    // Shock diamonds: bright stretched octahedra spaced down the plume
+    const diamondGeo = new THREE.OctahedronGeometry(0.3);
+    const diamonds = [];
+    for (let i = 0; i < 4; i++) {
+        const diamond = new THREE.Mesh(diamondGeo, new THREE.MeshBasicMaterial({
+            color: 0xfff2cc,
+            transparent: true,
+            opacity: 0,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        diamond.position.set(0, 0, 2.6 + i * 1.3);
+        diamond.scale.set(1 - i * 0.15, 1 - i * 0.15, 1.8);
+        diamond.visible = false;
+        plane.add(diamond);
+        diamonds.push(diamond);
+    }
+
+    const light = new THREE.PointLight(0xff7a30, 0, 40, 2);
+    light.position.set(0, 0, 3);
+    plane.add(light);
+
+    afterburnerEffect = { plume, diamonds, light };
 }
 
-function triggerCrash() {
+function updateAfterburnerEffect(level) {
+    if (!afterburnerEffect) return;
+    const { plume, diamonds, light } = afterburnerEffect;
+    const lit = level > 0.01 && !flight.flameout;
+
+    plume.visible = lit;
+    light.intensity = lit ? level * (40 + Math.random() * 15) : 0;
+    diamonds.forEach(d => { d.visible = lit; });
+    if (!lit) return;
+
+    // Longer and wider as it lights, with a fast flicker
+    const flicker = 0.85 + Math.random() * 0.3;
+    plume.scale.set(level * flicker, level * (0.8 + Math.random() * 0.4), level * flicker);
+
+    // Diamonds pulse out of phase, riding slightly up and down the plume
+    const t = simClock.time;
+    diamonds.forEach((d, i) => {
+        d.material.opacity = level * (0.55 + 0.45 * Math.sin(t * 30 + i * 1.7));
+        d.position.z = 2.6 + i * 1.3 * level + Math.sin(t * 20 + i) * 0.05;
+    });
+}
+
+function triggerCrash(message = 'CRASHED!') {
     console.log("CRASH!");
     isCrashed = true;
+    recordEvent('crash', { target: message.replace(/!$/, '').toLowerCase() });
+    disengageAutopilot(false);
 
     // UI Feedback
     const instructions = document.getElementById('instructions');
-    if (instructions) instructions.innerHTML = "<h1 style='color:red;'>CRASHED!</h1>";
+    if (instructions) instructions.innerHTML = `<h1 style='color:red;'>${message}</h1>`;
 
     // Boom
     createExplosion(plane.position, 0.5); // 50% smaller for plane crash
@@ -876,43 +1144,67 @@ function triggerCrash() {
     plane.visible = false;
 
     // Reset after 2 seconds
-    setTimeout(() => {
-        // Find start runway again to reset position
-        // Ideally we cache the start runway, but searching is cheap here.
-        const runways = terrainManager.getRunways();
-        let startRunway = null;
-        let minD = Infinity;
-        for (const r of runways) {
-            const d = r.position.distanceToSquared(plane.position); // closest to crash site
-            if (d < minD) {
-                minD = d;
-                startRunway = r;
-            }
-        }
+    crashResetTime = simClock.time + 2;
+}
 
-        if (startRunway) {
-            const localStartPos = new THREE.Vector3(0, 15 + 1.0, 40);
-            const worldStartPos = localStartPos.applyMatrix4(startRunway.matrixWorld);
-            plane.position.copy(worldStartPos);
-            plane.rotation.set(0, startRunway.rotation.y, 0);
-        } else {
-            plane.position.set(0, startY, 40);
-            plane.rotation.set(0, 0, 0);
-        }
+function resetPlane() {
+    if (!plane || isCrashed) return;
+    isBellyLanding = false;
+    readyToLand = false;
+    resetAfterCrash();
+}
 
-        resetSpeed();
-        laserEnergy = 100;
-        plane.visible = true;
-        isCrashed = false;
+function resetAfterCrash() {
+    const instructions = document.getElementById('instructions');
 
-        // Reset UI
-        if (instructions) {
-            instructions.innerHTML = "Pitch: W/S | Roll: Q/E<br>Throttle: Up/Down Arrows | Rudder: A/D<br>R: Reset";
+    // Find start runway again to reset position
+    // Ideally we cache the start runway, but searching is cheap here.
+    const runways = terrainManager.getRunways();
+    let startRunway = null;
+    let minD = Infinity;
+    for (const r of runways) {
+        const d = r.position.distanceToSquared(plane.position); // closest to crash site
+        if (d < minD) {
+            minD = d;
+            startRunway = r;
         }
-    }, 2000);
+    }
+
+    if (startRunway) {
+        // Resting on the gear at the start of the runway
+        const localStartPos = new THREE.Vector3(0, 15 + GEAR_HEIGHT, 40);
+        const worldStartPos = localStartPos.applyMatrix4(startRunway.matrixWorld);
+        plane.position.copy(worldStartPos);
+        plane.rotation.set(0, startRunway.rotation.y, 0);
+    } else {
+        plane.position.set(0, startY, 40);
+        plane.rotation.set(0, 0, 0);
+    }
+
+    resetSpeed();
+    disengageAutopilot(false);
+    rearmWeapons();
+    isRefuelling = false;
+    plane.visible = true;
+    isCrashed = false;
+    isBellyLanding = false;
+    delete plane.userData.prevPose; // Teleported: don't interpolate from the crash site
+    resetCameraView();
+    resetMouseAim(plane);
+    resetTargetPod();
+    resetSeeker();
+    ccrpArmed = false;
+
+    // Reset UI
+    if (instructions) {
+        instructions.innerHTML = "Pitch: W/S | Roll: Q/E<br>Throttle: Up/Down Arrows | Rudder: A/D<br>R: Reset";
+    }
 }
 
-function createExplosion(position, size = 1.0) {
+// record: false for effects replayed from a recording
+function createExplosion(position, size = 1.0, record = true) {
+    if (record) recordEvent('explosion', { position, size });
+
     // Flame colors array
     const flameColors = [
         0xFF4500, // OrangeRed
@@ -977,8 +1269,8 @@ function updateExplosions(delta) {
 function fireLasers() {
     if (!plane || isCrashed) return;
 
-    if (laserEnergy < 2.5) return;
-    laserEnergy -= 2.5;
+    if (!consumeRound('cannon')) return;
+    recordEvent('laser', { position: plane.position, direction: new THREE.Vector3(0, 0, -1).applyQuaternion(plane.quaternion) });
 
     console.log("Attempting to fire...");
 
@@ -1043,135 +1335,165 @@ function fireLasers() {
     }
 }
 
+const _boltFrom = new THREE.Vector3();
+
 function updateBullets(delta) {
     for (let i = bullets.length - 1; i >= 0; i--) {
         const b = bullets[i];
 
-        const move = b.velocity.clone().multiplyScalar(delta);
-        b.mesh.position.add(move);
-        b.dist += move.length();
-
-        let hit = false;
+        // Swept along this step's path: at 800 units/s a bolt moves further per step than a trunk is wide
+        _boltFrom.copy(b.mesh.position);
+        b.mesh.position.addScaledVector(b.velocity, delta);
+        b.dist += _boltFrom.distanceTo(b.mesh.position);
+
+        const hit = sweepSegment(_boltFrom, b.mesh.position);
+        if (hit) {
+            b.mesh.position.copy(hit.point);
+            onLaserHit(hit);
+            // Point the laser-hit cam at the impact
+            showLaserHit(hit.point);
+        }
 
-        // Regular Tree Collisions
-        const { activeTrees, activeBaobabTrees } = terrainManager.getTrees();
-        for (let j = activeTrees.length - 1; j >= 0; j--) {
-            const tree = activeTrees[j];
+        // Cleanup (Hit or Distance)
+        if (hit || b.dist > 1000) {
+            scene.remove(b.mesh);
+            b.mesh.geometry.dispose();
+            b.mesh.material.dispose();
+            bullets.splice(i, 1);
+        }
+    }
+}
 
-            // Check Hit (Cylinder collision)
-            const dx = b.mesh.position.x - tree.position.x;
-            const dz = b.mesh.position.z - tree.position.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
+function onLaserHit(hit) {
+    const target = hit.target;
+    if (hit.type === 'tree') {
+        createExplosion(target.position.clone().setY(target.position.y + 5), 0.5); // Half size for trees
+        scene.remove(target);
+        terrainManager.unregisterTree(target);
+        scoreKill('tree', POINTS_PER_TREE);
+    } else if (hit.type === 'baobab') {
+        // Boss trees take 1 HP per laser hit
+        if (damageTree(target, 1)) {
+            // Boss tree destroyed - BIG explosion in the middle of the tree
+            createExplosion(target.position.clone().setY(target.position.y + treeHitbox(target, 25, 50).height / 2), 2.5);
+            scene.remove(target);
+            terrainManager.unregisterBaobabTree(target);
+            scoreKill('baobab', POINTS_PER_TREE * 10); // 10x points for boss tree!
+        } else {
+            // Still alive - small hit effect where the bolt struck
+            createExplosion(hit.point.clone(), 0.3);
+        }
+    } else if (hit.type === 'building') {
+        createExplosion(_sweepBox.setFromObject(target).getCenter(new THREE.Vector3()), 0.6);
+        scene.remove(target);
+        terrainManager.unregisterBuilding(target);
+        scoreKill('building', POINTS_PER_BUILDING);
+    } else {
+        createExplosion(hit.point.clone(), 0.3); // chips off a mountainside
+    }
+}
 
-            // Use tree userData for accurate hitbox, or fallback to pine tree defaults
-            let baseRadius = 10;
-            let baseHeight = 45;
-            let effectiveScale = tree.scale.x; // Random scale applied
+// Swept collisions: the segment a projectile covered this step against every shape it could have
+// crossed, so hits don't depend on speed or frame rate and the impact point is exact.
 
-            if (tree.userData && tree.userData.baseRadius) {
-                baseRadius = tree.userData.baseRadius;
-                baseHeight = tree.userData.baseHeight;
-            }
+// Tree hitbox: a vertical cylinder from the tree's base (userData for the model, else per-kind defaults)
+function treeHitbox(tree, defaultRadius, defaultHeight) {
+    let baseRadius = defaultRadius;
+    let baseHeight = defaultHeight;
+    if (tree.userData && tree.userData.baseRadius) {
+        baseRadius = tree.userData.baseRadius;
+        baseHeight = tree.userData.baseHeight;
+    }
+    return { radius: baseRadius * tree.scale.x, height: baseHeight * tree.scale.x };
+}
 
-            const hitRadius = baseRadius * effectiveScale;
-            const hitHeight = baseHeight * effectiveScale;
+/**
+ * Distance along a ray (unit direction) at which it enters a tree's hitbox cylinder, if that's within
+ * length; null otherwise. Starting inside counts as 0.
+ */
+function rayHitsTree(ray, length, tree, defaultRadius, defaultHeight) {
+    const { radius, height } = treeHitbox(tree, defaultRadius, defaultHeight);
+    const o = ray.origin;
+    const d = ray.direction;
+    let enter = 0;
+    let exit = length;
+
+    // Sides: |(o + t d) - axis|² = r² in the horizontal plane
+    const ox = o.x - tree.position.x;
+    const oz = o.z - tree.position.z;
+    const a = d.x * d.x + d.z * d.z;
+    const c = ox * ox + oz * oz - radius * radius;
+    if (a < 1e-9) {
+        if (c > 0) return null; // straight up or down, beside the trunk
+    } else {
+        const b = ox * d.x + oz * d.z;
+        const disc = b * b - a * c;
+        if (disc < 0) return null;
+        const root = Math.sqrt(disc);
+        enter = Math.max(enter, (-b - root) / a);
+        exit = Math.min(exit, (-b + root) / a);
+    }
 
-            // Allow hits slightly below tree position (some trees have geometry below pivot)
-            if (dist < hitRadius && b.mesh.position.y > tree.position.y - 2 && b.mesh.position.y < tree.position.y + hitHeight) {
-                // Hit!
-                console.log("Laser hit tree!");
-                
-                const explosionPos = tree.position.clone();
-                explosionPos.y += 5;
-                createExplosion(explosionPos, 0.5); // Half size for trees
-                
-                // Remove Tree
-                scene.remove(tree);
-                terrainManager.unregisterTree(tree);
-                activeTrees.splice(j, 1);
-                points += POINTS_PER_TREE;
-                updateHUD();
-
-                hit = true;
-                break;
-            }
-        }
-        
-        // Baobab Tree Collisions (Boss Trees with HP)
-        if (!hit) {
-            for (let j = activeBaobabTrees.length - 1; j >= 0; j--) {
-                const tree = activeBaobabTrees[j];
-
-                const dx = b.mesh.position.x - tree.position.x;
-                const dz = b.mesh.position.z - tree.position.z;
-                const dist = Math.sqrt(dx * dx + dz * dz);
-
-                let baseRadius = 25;
-                let baseHeight = 50;
-                let effectiveScale = tree.scale.x;
-
-                if (tree.userData && tree.userData.baseRadius) {
-                    baseRadius = tree.userData.baseRadius;
-                    baseHeight = tree.userData.baseHeight;
-                }
+    // Caps (slightly below the base: some trees have geometry below the pivot)
+    const bottom = tree.position.y - 2;
+    const top = tree.position.y + height;
+    if (Math.abs(d.y) < 1e-9) {
+        if (o.y < bottom || o.y > top) return null;
+    } else {
+        const t0 = (bottom - o.y) / d.y;
+        const t1 = (top - o.y) / d.y;
+        enter = Math.max(enter, Math.min(t0, t1));
+        exit = Math.min(exit, Math.max(t0, t1));
+    }
+    return enter <= exit ? enter : null;
+}
 
-                const hitRadius = baseRadius * effectiveScale;
-                const hitHeight = baseHeight * effectiveScale;
+const _sweepPoint = new THREE.Vector3();
 
-                // Allow hits slightly below tree position
-                if (dist < hitRadius && b.mesh.position.y > tree.position.y - 2 && b.mesh.position.y < tree.position.y + hitHeight) {
-                    console.log("Laser hit Baobab tree!");
-                    
-                    // Damage boss tree
-                    const destroyed = damageTree(tree, 1); // 1 HP damage per laser hit
-                    
-                    if (destroyed) {
-                        // Boss tree destroyed - BIG explosion!
-                        const explosionPos = tree.position.clone();
-                        explosionPos.y += baseHeight / 2; // Middle of tree
-                        createExplosion(explosionPos, 2.5); // 2.5x size explosion!
-                        
-                        // Remove tree
-                        scene.remove(tree);
-                        terrainManager.unregisterBaobabTree(tree);
-                        activeBaobabTrees.splice(j, 1);
-                        points += POINTS_PER_TREE * 10; // 10x points for boss tree!
-                        updateHUD();
-                    } else {
-                        // Still alive - small hit effect
-                        const explosionPos = b.mesh.position.clone();
-                        createExplosion(explosionPos, 0.3); // Small impact effect
-                    }
+// Same against a box
+function rayHitsBox(ray, length, box) {
+    if (box.containsPoint(ray.origin)) return 0;
+    if (!ray.intersectBox(box, _sweepPoint)) return null;
+    const t = _sweepPoint.distanceTo(ray.origin);
+    return t <= length ? t : null;
+}
 
-                    hit = true;
-                    break;
-                }
-            }
-        }
+const _sweepRay = new THREE.Ray();
+const _sweepBox = new THREE.Box3();
+const _sweepCaster = new THREE.Raycaster();
+
+/**
+ * First thing the segment from -> to runs into: a tree, boss tree, building or mountainside.
+ * Returns { type, target, distance, point } or null.
+ */
+function sweepSegment(from, to) {
+    const length = from.distanceTo(to);
+    if (length === 0) return null;
+    _sweepRay.origin.copy(from);
+    _sweepRay.direction.subVectors(to, from).divideScalar(length);
+
+    let best = null;
+    const consider = (type, target, distance) => {
+        if (distance !== null && (!best || distance < best.distance)) best = { type, target, distance };
+    };
 
-        // Building collisions (precise Box3)
-        const buildings = terrainManager.getBuildings ? terrainManager.getBuildings() : [];
-        for (let j = buildings.length - 1; j >= 0 && !hit; j--) {
-            const bld = buildings[j];
-            const box = new THREE.Box3().setFromObject(bld);
-            if (box.containsPoint(b.mesh.position)) {
-                createExplosion(box.getCenter(new THREE.Vector3()), 0.6); // 50% smaller (was 1.2)
-                scene.remove(bld);
-                if (terrainManager.unregisterBuilding) terrainManager.unregisterBuilding(bld);
-                points += POINTS_PER_BUILDING;
-                updateHUD();
-                hit = true;
-            }
-        }
+    const { activeTrees, activeBaobabTrees } = terrainManager.getTrees();
+    for (const tree of activeTrees) consider('tree', tree, rayHitsTree(_sweepRay, length, tree, 10, 45));
+    for (const tree of activeBaobabTrees) consider('baobab', tree, rayHitsTree(_sweepRay, length, tree, 25, 50));
+    for (const bld of terrainManager.getBuildings()) {
+        consider('building', bld, rayHitsBox(_sweepRay, length, _sweepBox.setFromObject(bld)));
+    }
 
-        // Cleanup (Hit or Distance)
-        if (hit || b.dist > 1000) {
-            scene.remove(b.mesh);
-            b.mesh.geometry.dispose();
-            b.mesh.material.dispose();
-            bullets.splice(i, 1);
-        }
+    // Mountains are meshes: raycast the actual triangles (bounding sphere first, inside three)
+    _sweepCaster.set(from, _sweepRay.direction);
+    _sweepCaster.far = length;
+    for (const mountain of terrainManager.getMountains()) {
+        const hits = _sweepCaster.intersectObject(mountain, false);
+        if (hits.length > 0) consider('mountain', mountain, hits[0].distance);
     }
+
+    if (best) best.point = _sweepRay.at(best.distance, new THREE.Vector3());
+    return best;
 }
 
 // Health Bar System for Boss Trees
@@ -1290,25 +1612,227 @@ function damageTree(tree, damage = 1) {
     return false; // Tree still alive
 }
 
-// Bombs
+// Missiles
+const MISSILE_DAMAGE = 5; // boss tree HP per missile hit
+
+// Everything the seeker and the padlock / tactical views can lock on to
+function getLockableTargets() {
+    return terrainManager.getTrees().activeBaobabTrees.concat(terrainManager.getBuildings(), terrainManager.getMovingTargets());
+}
+
+const _aimBox = new THREE.Box3();
+
+// Where to aim at a target: the middle of a building, the trunk of a tree, a vehicle's own aim height
+function getTargetAimPoint(target, out) {
+    if (target.userData.isBuilding) return _aimBox.setFromObject(target).getCenter(out);
+    out.copy(target.position);
+    if (target.userData.aimHeight !== undefined) out.y += target.userData.aimHeight;
+    else out.y += (target.userData.baseHeight || 50) * target.scale.y * 0.3;
+    return out;
+}
+
+function onMissileHit(target, position) {
+    const { activeBaobabTrees } = terrainManager.getTrees();
+    const buildings = terrainManager.getBuildings();
+    const treeIndex = activeBaobabTrees.indexOf(target);
+
+    if (treeIndex >= 0) {
+        if (damageTree(target, MISSILE_DAMAGE)) {
+            createExplosion(position, 2.5);
+            scene.remove(target);
+            terrainManager.unregisterBaobabTree(target);
+            activeBaobabTrees.splice(treeIndex, 1);
+            scoreKill('baobab', POINTS_PER_TREE * 10);
+        } else {
+            createExplosion(position, 1);
+        }
+    } else if (buildings.includes(target)) {
+        createExplosion(position, 1);
+        scene.remove(target);
+        terrainManager.unregisterBuilding(target);
+        scoreKill('building', POINTS_PER_BUILDING);
+    } else if (terrainManager.getMovingTargets().includes(target)) {
+        createExplosion(position, 1);
+        scene.remove(target);
+        terrainManager.unregisterMovingTarget(target);
+        scoreKill('moving', POINTS_PER_BUILDING);
+    } else {
+        createExplosion(position, 1);
+    }
+}
+
+/**
+ * Release button: fires whichever weapon station is selected
+ */
+function releaseWeapon() {
+    if (!plane || isCrashed) return;
+    const station = getSelectedStation();
+    if (getAmmo(station.id) < 1) {
+        showWeaponMessage(`${station.hud} EMPTY`);
+        return;
+    }
+    if (station.id === 'cannon') fireLasers();
+    else if (station.id === 'rockets') fireRocket();
+    else if (station.missile) launchMissile(station);
+    else dropBomb();
+}
+
+function launchMissile(station) {
+    if (!consumeRound(station.id)) return;
+    const missile = fireMissile(plane, flight.velocity);
+    if (missile) recordEvent('missile', { kind: missile.type, position: missile.mesh.position, velocity: missile.velocity });
+}
+
+// Stores in free flight: bombs, cluster bombs and their bomblets, and rockets (which add a motor burn)
 const BOMB_GRAVITY = -30;
 const BOMB_DRAG = 0.005;
-const BOMB_COOLDOWN_MS = 3000;
+const BOMB_RELEASE_OFFSET = new THREE.Vector3(0, -2, -2); // beneath the plane nose
+const BOMB_EJECT_SPEED = 1;   // ~20 km/h along the nose on release
+const MAX_FALL_TIME = 30;     // s, the predictor gives up after this
+const BOMB_FUZE_HEIGHT = 0.5; // bombs go off this far above the terrain
+const CCRP_OVERSHOOT = 200;   // disarm once the release point is this far behind
+
+let ccrpArmed = false; // bomb key pressed with a designated point: release automatically
+
+// Where a bomb released now starts and how fast it's moving
+function bombReleaseState(position, velocity) {
+    plane.localToWorld(position.copy(BOMB_RELEASE_OFFSET));
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(plane.quaternion).normalize();
+    velocity.copy(flight.velocity).addScaledVector(forward, BOMB_EJECT_SPEED);
+}
+
+// One step of bomb flight, shared by live bombs, the CCIP pipper and the CCRP release predictor
+function stepBombBallistics(position, velocity, delta) {
+    velocity.y += BOMB_GRAVITY * delta;
+    velocity.multiplyScalar(1 - BOMB_DRAG); // per step, as the bombs fly
+    position.addScaledVector(velocity, delta);
+}
+
+const _impactVelocity = new THREE.Vector3();
+
+/**
+ * Where a bomb released now would hit the ground (or a runway or mountain), or null if it wouldn't within MAX_FALL_TIME
+ */
+function predictBombImpact(out) {
+    bombReleaseState(out, _impactVelocity);
+    const surfaces = getImpactSurfaces();
+    const step = simClock.step;
+    for (let t = 0; t < MAX_FALL_TIME; t += step) {
+        stepBombBallistics(out, _impactVelocity, step);
+        if (storeHitsSurface(out, surfaces)) return out;
+    }
+    return null;
+}
+
+// Predicted impact for the current sim step, shared by the CCIP pipper, the CCRP cue and the auto release
+const bombImpact = new THREE.Vector3();
+let bombImpactValid = false;
+
+// Run the prediction once per step, and only while something reads it
+function updateBombImpact() {
+    const needed = plane && !isCrashed && (isBombStation(getSelectedStation()) || getDesignation());
+    bombImpactValid = Boolean(needed) && predictBombImpact(bombImpact) !== null;
+}
+
+/**
+ * Release cue for a designated point: along = ground distance still to fly before releasing (negative
+ * once past), lateral = how far right of the bomb's track the point is, time = seconds to release.
+ * Null when there is no solution (no impact, or hovering).
+ */
+function computeBombCue(target) {
+    const groundSpeed = Math.hypot(flight.velocity.x, flight.velocity.z);
+    if (groundSpeed < 1 || !bombImpactValid) return null;
+    const trackX = flight.velocity.x / groundSpeed;
+    const trackZ = flight.velocity.z / groundSpeed;
+    const dx = target.x - bombImpact.x;
+    const dz = target.z - bombImpact.z;
+    const along = dx * trackX + dz * trackZ;
+    return { along, lateral: dz * trackX - dx * trackZ, time: along / groundSpeed };
+}
 
+// Armed CCRP: release as the predicted impact reaches the designated point
+function updateCcrp() {
+    if (!ccrpArmed) return;
+    const target = getDesignation();
+    if (!target || !plane || isCrashed) {
+        ccrpArmed = false;
+        return;
+    }
+    if (!isBombStation(getSelectedStation())) {
+        ccrpArmed = false;
+        return;
+    }
+    const cue = computeBombCue(target);
+    if (!cue || cue.along > 0) return;
+    if (cue.along < -CCRP_OVERSHOOT || releaseBomb()) ccrpArmed = false;
+}
+
+function updateBombCue() {
+    const status = document.getElementById('bomb-status');
+    if (!status) return;
+    const target = getDesignation();
+    if (!target || !plane || isCrashed || isReplaying()) {
+        status.style.display = 'none';
+        return;
+    }
+    const cue = computeBombCue(target);
+    let text = ccrpArmed ? 'CCRP ARMED' : 'CCRP';
+    if (!cue) text += '  NO SOLUTION';
+    else if (cue.along < 0) text += '  PAST';
+    else text += `  REL ${cue.time.toFixed(1)}s  ${cue.lateral >= 0 ? 'R' : 'L'} ${Math.abs(cue.lateral).toFixed(0)}`;
+    status.innerText = text;
+    status.style.display = 'block';
+}
+
+function isBombStation(station) {
+    return station.id === 'bombs' || station.id === 'cluster';
+}
+
+/**
+ * Bomb release (bombs or cluster bombs selected). With a designated point it arms the automatic
+ * release instead; pressed again while armed it drops straight away.
+ */
 function dropBomb() {
     if (!plane || isCrashed) return;
-    const now = performance.now();
-    if (now - lastBombTime < BOMB_COOLDOWN_MS) return;
+    if (getDesignation() && !ccrpArmed) {
+        ccrpArmed = true;
+        return;
+    }
+    ccrpArmed = false;
+    releaseBomb();
+}
+
+// Returns false while the station is still reloading (or empty)
+function releaseBomb() {
+    const station = getSelectedStation();
+    if (!isBombStation(station) || !consumeRound(station.id)) return false;
 
-    // Spawn beneath the plane nose
-    const localOffset = new THREE.Vector3(0, -2, -2);
-    const worldPos = localOffset.clone();
-    plane.localToWorld(worldPos);
+    const worldPos = new THREE.Vector3();
+    const velocity = new THREE.Vector3();
+    bombReleaseState(worldPos, velocity);
 
-    // Bomb shape: capsule body + tail fins, oriented along forward axis
-    const bombBodyGeo = new THREE.CapsuleGeometry(0.45, 1.6, 6, 8);
+    const kind = station.id === 'cluster' ? 'cluster' : 'bomb';
+    const bomb = createBombMesh(kind);
+    bomb.position.copy(worldPos);
+    bomb.quaternion.copy(plane.quaternion); // align with plane body axis
+
+    bombs.push({ mesh: bomb, velocity, kind, age: 0, alive: true });
+    recordEvent('bomb', { kind, position: worldPos, velocity });
+    scene.add(bomb);
+    updateHUD(0);
+
+    // Show bomb tracker
+    trackBomb(bomb);
+    return true;
+}
+
+// Bomb shape: capsule body + tail fins, oriented along forward axis. Cluster canisters are fatter and olive.
+function createBombMesh(kind) {
+    const radius = kind === 'cluster' ? 0.6 : 0.45;
+    const bombBodyGeo = new THREE.CapsuleGeometry(radius, 1.6, 6, 8);
     bombBodyGeo.rotateX(Math.PI / 2); // align length along local Z (forward)
-    const bombMat = new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.2, roughness: 0.6 });
+    const color = kind === 'cluster' ? 0x4b5320 : 0x222222;
+    const bombMat = new THREE.MeshStandardMaterial({ color, metalness: 0.2, roughness: 0.6 });
     const bombBody = new THREE.Mesh(bombBodyGeo, bombMat);
     bombBody.castShadow = true;
     bombBody.receiveShadow = true;
@@ -1316,7 +1840,7 @@ function dropBomb() {
     // Tail fins (3)
     const finGeo = new THREE.BoxGeometry(0.08, 0.6, 0.25);
     const fins = [];
-    const finRadius = 0.5;
+    const finRadius = radius + 0.05;
     const finZ = 0.9; // rear position
     for (let i = 0; i < 3; i++) {
         const fin = new THREE.Mesh(finGeo, bombMat);
@@ -1334,202 +1858,286 @@ function dropBomb() {
     fins.forEach(f => bomb.add(f));
     bomb.castShadow = true;
     bomb.receiveShadow = true;
-    bomb.position.copy(worldPos);
-    bomb.quaternion.copy(plane.quaternion); // align with plane body axis
+    return bomb;
+}
+
+// Cluster bombs open into bomblets a moment after release, or sooner if the ground comes up first
+const CLUSTER_OPEN_TIME = 1.2;    // s after release
+const CLUSTER_OPEN_HEIGHT = 60;   // above the ground
+const CLUSTER_BOMBLETS = 12;
+const CLUSTER_SPREAD = 12;        // units/s of sideways scatter
+
+function openCluster(canister) {
+    for (let i = 0; i < CLUSTER_BOMBLETS; i++) {
+        const mat = new THREE.MeshStandardMaterial({ color: 0x4b5320, metalness: 0.2, roughness: 0.6 });
+        const mesh = new THREE.Mesh(new THREE.SphereGeometry(0.3, 6, 4), mat);
+        mesh.position.copy(canister.mesh.position);
+        const angle = (i / CLUSTER_BOMBLETS) * Math.PI * 2 + Math.random() * 0.5;
+        const spread = CLUSTER_SPREAD * (0.5 + Math.random() * 0.5);
+        const velocity = canister.velocity.clone();
+        velocity.x += Math.cos(angle) * spread;
+        velocity.z += Math.sin(angle) * spread;
+        scene.add(mesh);
+        bombs.push({ mesh, velocity, kind: 'bomblet', age: 0, alive: true });
+    }
+    recordEvent('cluster', { position: canister.mesh.position, velocity: canister.velocity, count: CLUSTER_BOMBLETS });
+    createExplosion(canister.mesh.position.clone(), 0.4);
+}
+
+// Rockets: a short motor burn along the nose, then they fall like bombs
+const ROCKET_LAUNCH_SPEED = 20;   // units/s off the rail, on top of the jet's speed
+const ROCKET_THRUST = 150;        // units/s² while the motor burns
+const ROCKET_BURN = 1.2;          // s
+const ROCKET_OFFSET = new THREE.Vector3(0, -1.5, -3);
+const _rocketDir = new THREE.Vector3();
+
+function fireRocket() {
+    if (!consumeRound('rockets')) return;
 
-    // Initial velocity: inherit plane forward velocity plus ~20 km/h (1 unit/s)
+    // Alternate between the wings
+    const side = getAmmo('rockets') % 2 === 0 ? 1 : -1;
+    const position = plane.localToWorld(ROCKET_OFFSET.clone().setX(side * 3));
     const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(plane.quaternion).normalize();
-    const forwardSpeed = planeSpeed * 40 + 1; // plane uses 40 units/s per speed; +1 ≈ +20 km/h
-    const velocity = forward.multiplyScalar(forwardSpeed);
+    const velocity = flight.velocity.clone().addScaledVector(forward, ROCKET_LAUNCH_SPEED);
+
+    const geo = new THREE.CylinderGeometry(0.15, 0.15, 1.6, 6);
+    geo.rotateX(Math.PI / 2); // align length with Z
+    const mesh = new THREE.Mesh(geo, new THREE.MeshStandardMaterial({ color: 0xcccccc, emissive: 0x662200, metalness: 0.3, roughness: 0.5 }));
+    mesh.position.copy(position);
+    mesh.quaternion.copy(plane.quaternion);
+    scene.add(mesh);
+    bombs.push({ mesh, velocity, kind: 'rocket', age: 0, alive: true });
+    recordEvent('rocket', { position, velocity });
+}
 
-    bombs.push({ mesh: bomb, velocity, alive: true });
-    scene.add(bomb);
-    lastBombTime = now;
-    updateHUD(0);
-    
-    // Show bomb tracker
-    showBombTracker(bomb);
+// Per kind: explosion size, blast radius (units) and damage at the centre of the blast
+const STORE_EFFECTS = {
+    bomb: { explosion: 1.2, radius: 45, damage: 3 },
+    cluster: { explosion: 1.2, radius: 45, damage: 3 },
+    bomblet: { explosion: 0.5, radius: 15, damage: 1.5 },
+    rocket: { explosion: 0.6, radius: 12, damage: 1.5 }
+};
+
+function removeStore(b, index) {
+    // Schedule bomb tracker to hide after 2 seconds
+    if (b.kind === 'bomb' || b.kind === 'cluster') endBombTrack(b.mesh);
+
+    scene.remove(b.mesh);
+    b.mesh.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) {
+            if (Array.isArray(obj.material)) obj.material.forEach(m => m.dispose());
+            else obj.material.dispose();
+        }
+    });
+    bombs.splice(index, 1);
 }
 
 function updateBombs(delta) {
+    const surfaces = getImpactSurfaces();
     for (let i = bombs.length - 1; i >= 0; i--) {
         const b = bombs[i];
         if (!b.alive) continue;
 
-        // Apply gravity
-        b.velocity.y += BOMB_GRAVITY * delta;
-
-        // Apply simple drag
-        b.velocity.multiplyScalar(1 - BOMB_DRAG);
+        b.age += delta;
+        _storeFrom.copy(b.mesh.position);
 
-        const move = b.velocity.clone().multiplyScalar(delta);
-        b.mesh.position.add(move);
+        // Rocket motor pushes along the flight path, and the rocket points where it's going
+        if (b.kind === 'rocket' && b.age < ROCKET_BURN) {
+            b.velocity.addScaledVector(_rocketDir.copy(b.velocity).normalize(), ROCKET_THRUST * delta);
+        }
+        stepBombBallistics(b.mesh.position, b.velocity, delta);
+        if (b.kind === 'rocket') b.mesh.lookAt(_rocketDir.copy(b.mesh.position).add(b.velocity));
 
-        // Ground collision (terrain height)
-        const groundY = getHeight(b.mesh.position.x, b.mesh.position.z);
-        if (b.mesh.position.y <= groundY + 0.5) {
-            createExplosion(b.mesh.position.clone(), 1.2);
-            
-            // Schedule bomb tracker to hide after 2 seconds
-            if (activeBomb === b.mesh) {
-                scheduleBombTrackerHide();
-            }
-            
-            scene.remove(b.mesh);
-            b.mesh.traverse(obj => {
-                if (obj.geometry) obj.geometry.dispose();
-                if (obj.material) {
-                    if (Array.isArray(obj.material)) obj.material.forEach(m => m.dispose());
-                    else obj.material.dispose();
-                }
-            });
-            bombs.splice(i, 1);
+        const position = b.mesh.position;
+        if (b.kind === 'cluster' && (b.age > CLUSTER_OPEN_TIME || position.y < getHeight(position.x, position.z) + CLUSTER_OPEN_HEIGHT)) {
+            openCluster(b);
+            removeStore(b, i);
             continue;
         }
 
-        // Tree collisions (destructible) with 2x hitbox for bombs
-        const { activeTrees, activeBaobabTrees } = terrainManager.getTrees();
-        let treeHit = false;
-        
-        // Regular trees
-        for (let j = activeTrees.length - 1; j >= 0; j--) {
-            const tree = activeTrees[j];
-
-            const dx = b.mesh.position.x - tree.position.x;
-            const dz = b.mesh.position.z - tree.position.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-
-            let baseRadius = 10;
-            let baseHeight = 45;
-            let effectiveScale = tree.scale.x;
-            if (tree.userData && tree.userData.baseRadius) {
-                baseRadius = tree.userData.baseRadius;
-                baseHeight = tree.userData.baseHeight;
-            }
-
-            const hitRadius = baseRadius * effectiveScale * 2; // 100% larger for bombs
-            const hitHeight = baseHeight * effectiveScale * 2;
-
-            // Allow hits slightly below tree position
-            if (dist < hitRadius && b.mesh.position.y > tree.position.y - 2 && b.mesh.position.y < tree.position.y + hitHeight) {
-                // Regular tree - instant destroy
-                createExplosion(tree.position.clone().setY(tree.position.y + 5), 1.5);
-                scene.remove(tree);
-                terrainManager.unregisterTree(tree);
-                activeTrees.splice(j, 1);
-                points += POINTS_PER_TREE;
-                updateHUD();
-                
-                treeHit = true;
-                break;
-            }
+        // Fuzed on contact: the first tree, building or mountainside along this step's path,
+        // otherwise the ground or a runway once the store reaches it
+        const hit = sweepSegment(_storeFrom, position);
+        if (hit) {
+            detonate(hit.point, STORE_EFFECTS[b.kind]);
+            removeStore(b, i);
+        } else if (storeHitsSurface(position, surfaces)) {
+            detonate(surfaceContact(_storeFrom, position, surfaces), STORE_EFFECTS[b.kind]);
+            removeStore(b, i);
         }
-        
-        // Baobab trees (Boss Trees)
-        if (!treeHit) {
-            for (let j = activeBaobabTrees.length - 1; j >= 0; j--) {
-                const tree = activeBaobabTrees[j];
-
-                const dx = b.mesh.position.x - tree.position.x;
-                const dz = b.mesh.position.z - tree.position.z;
-                const dist = Math.sqrt(dx * dx + dz * dz);
-
-                let baseRadius = 25;
-                let baseHeight = 50;
-                let effectiveScale = tree.scale.x;
-                if (tree.userData && tree.userData.baseRadius) {
-                    baseRadius = tree.userData.baseRadius;
-                    baseHeight = tree.userData.baseHeight;
-                }
+    }
+}
 
-                const hitRadius = baseRadius * effectiveScale * 2; // 100% larger for bombs
-                const hitHeight = baseHeight * effectiveScale * 2;
+const _storeFrom = new THREE.Vector3();
+
+// Where between from (clear of the ground) and to (touching it) a store first makes contact, by bisection
+function surfaceContact(from, to, surfaces) {
+    const point = new THREE.Vector3();
+    let lo = 0;
+    let hi = 1;
+    for (let k = 0; k < 12; k++) {
+        const mid = (lo + hi) / 2;
+        if (storeHitsSurface(point.lerpVectors(from, to, mid), surfaces)) hi = mid;
+        else lo = mid;
+    }
+    return point.lerpVectors(from, to, hi);
+}
 
-                // Allow hits slightly below tree position
-                if (dist < hitRadius && b.mesh.position.y > tree.position.y - 2 && b.mesh.position.y < tree.position.y + hitHeight) {
-                    // Damage boss tree (bombs do 3 HP damage)
-                    const destroyed = damageTree(tree, 3);
-                    
-                    if (destroyed) {
-                        // Boss tree destroyed - HUGE explosion!
-                        createExplosion(tree.position.clone().setY(tree.position.y + baseHeight / 2), 2.5);
-                        scene.remove(tree);
-                        terrainManager.unregisterBaobabTree(tree);
-                        activeBaobabTrees.splice(j, 1);
-                        points += POINTS_PER_TREE * 10; // 10x points for boss tree!
-                        updateHUD();
-                    } else {
-                        // Still alive - medium hit effect
-                        createExplosion(tree.position.clone().setY(tree.position.y + 5), 0.8);
-                    }
-                    
-                    treeHit = true;
-                    break;
-                }
-            }
-        }
+// Runways and mountains stand above the terrain height map; fetched once per step (or prediction)
+function getImpactSurfaces() {
+    return { runways: terrainManager.getRunways(), mountains: terrainManager.getMountains() };
+}
 
-        if (treeHit) {
-            // Schedule bomb tracker to hide after 2 seconds
-            if (activeBomb === b.mesh) {
-                scheduleBombTrackerHide();
-            }
-            
-            // Remove bomb
-            scene.remove(b.mesh);
-            b.mesh.traverse(obj => {
-                if (obj.geometry) obj.geometry.dispose();
-                if (obj.material) {
-                    if (Array.isArray(obj.material)) obj.material.forEach(m => m.dispose());
-                    else obj.material.dispose();
-                }
-            });
-            bombs.splice(i, 1);
-            continue;
-        }
+const _surfaceLocal = new THREE.Vector3();
+const _surfaceRay = new THREE.Raycaster();
+const _down = new THREE.Vector3(0, -1, 0);
 
-        // Building collisions (bombs, exact box)
-        const buildings = terrainManager.getBuildings ? terrainManager.getBuildings() : [];
-        for (let j = buildings.length - 1; j >= 0; j--) {
-            const bld = buildings[j];
-            const box = new THREE.Box3().setFromObject(bld);
-            if (box.containsPoint(b.mesh.position)) {
-                createExplosion(box.getCenter(new THREE.Vector3()), 0.75); // 50% smaller (was 1.5)
-                scene.remove(bld);
-                if (terrainManager.unregisterBuilding) terrainManager.unregisterBuilding(bld);
-                points += POINTS_PER_BUILDING;
-                updateHUD();
-
-                // Schedule bomb tracker to hide after 2 seconds
-                if (activeBomb === b.mesh) {
-                    scheduleBombTrackerHide();
-                }
+// Straight down from just above top: whether the mesh's surface is within the fuze height of the point
+function meshBelowFuze(mesh, position, top) {
+    _surfaceRay.set(_surfaceLocal.set(position.x, top + 1, position.z), _down);
+    _surfaceRay.far = top + 1 - position.y + BOMB_FUZE_HEIGHT;
+    return _surfaceRay.intersectObject(mesh, false).length > 0;
+}
 
-                scene.remove(b.mesh);
-                b.mesh.traverse(obj => {
-                    if (obj.geometry) obj.geometry.dispose();
-                    if (obj.material) {
-                        if (Array.isArray(obj.material)) obj.material.forEach(m => m.dispose());
-                        else obj.material.dispose();
-                    }
-                });
-                bombs.splice(i, 1);
-                break;
-            }
-        }
+/**
+ * Whether a store at this point has reached something solid: the terrain, a runway block (paved top
+ * or sloping sides) or a mountainside. Live bombs and the impact predictor both fuze on this.
+ */
+function storeHitsSurface(position, surfaces) {
+    if (position.y <= getHeight(position.x, position.z) + BOMB_FUZE_HEIGHT) return true;
+
+    for (const r of surfaces.runways) {
+        if (Math.abs(position.x - r.position.x) > 70 || Math.abs(position.z - r.position.z) > 70) continue;
+        // r.position.y is the centre of the runway block, the surface is 15 above it
+        const top = r.position.y + 15;
+        if (position.y > top + BOMB_FUZE_HEIGHT) continue;
+        if (meshBelowFuze(r, position, top)) return true;
     }
+
+    for (const mountain of surfaces.mountains) {
+        const dx = position.x - mountain.position.x;
+        const dz = position.z - mountain.position.z;
+        if (dx * dx + dz * dz > ((mountain.userData.baseRadius || 120) * 1.5) ** 2) continue;
+        const top = mountain.position.y + (mountain.userData.maxHeight || 160);
+        if (position.y > top) continue;
+        if (meshBelowFuze(mountain, position, top)) return true;
+    }
+    return false;
+}
+
+// Distance from a point to a tree's hitbox cylinder (0 inside it)
+function distanceToTree(tree, point, defaultRadius, defaultHeight) {
+    const { radius, height } = treeHitbox(tree, defaultRadius, defaultHeight);
+    const outside = Math.max(0, Math.hypot(point.x - tree.position.x, point.z - tree.position.z) - radius);
+    const below = tree.position.y - point.y;
+    const above = point.y - (tree.position.y + height);
+    return Math.hypot(outside, Math.max(0, below, above));
 }
 
-// Fire Listeners
-window.addEventListener('mousedown', (e) => {
-    // Left click fires lasers
-    if (e.button === 0) {
-        fireLasers();
+const _blastBox = new THREE.Box3();
+
+// Blast damage falls off linearly from effect.damage at the centre to nothing at effect.radius.
+// Trees, buildings and vehicles go down at TARGET_KILL_DAMAGE; boss trees lose it from their hit points.
+const TARGET_KILL_DAMAGE = 1;
+
+function detonate(center, effect) {
+    createExplosion(center, effect.explosion);
+
+    const blastDamage = (distance) => Math.max(0, effect.damage * (1 - distance / effect.radius));
+    const { activeTrees, activeBaobabTrees } = terrainManager.getTrees();
+
+    // Lists are copied: unregistering replaces the live ones
+    for (const tree of activeTrees.slice()) {
+        if (blastDamage(distanceToTree(tree, center, 10, 45)) < TARGET_KILL_DAMAGE) continue;
+        createExplosion(tree.position.clone().setY(tree.position.y + 5), 1.5);
+        scene.remove(tree);
+        terrainManager.unregisterTree(tree);
+        scoreKill('tree', POINTS_PER_TREE);
+    }
+
+    for (const tree of activeBaobabTrees.slice()) {
+        const damage = blastDamage(distanceToTree(tree, center, 25, 50));
+        if (damage <= 0) continue;
+        if (damageTree(tree, damage)) {
+            // Boss tree destroyed - HUGE explosion!
+            createExplosion(tree.position.clone().setY(tree.position.y + treeHitbox(tree, 25, 50).height / 2), 2.5);
+            scene.remove(tree);
+            terrainManager.unregisterBaobabTree(tree);
+            scoreKill('baobab', POINTS_PER_TREE * 10); // 10x points for boss tree!
+        } else {
+            // Still alive - medium hit effect
+            createExplosion(tree.position.clone().setY(tree.position.y + 5), 0.8);
+        }
     }
-});
 
-window.addEventListener('keydown', (e) => {
-    if (e.code === 'Space') {
-        dropBomb();
+    for (const bld of terrainManager.getBuildings().slice()) {
+        _blastBox.setFromObject(bld);
+        if (blastDamage(_blastBox.distanceToPoint(center)) < TARGET_KILL_DAMAGE) continue;
+        createExplosion(_blastBox.getCenter(new THREE.Vector3()), 0.75);
+        scene.remove(bld);
+        terrainManager.unregisterBuilding(bld);
+        scoreKill('building', POINTS_PER_BUILDING);
     }
+
+    for (const target of terrainManager.getMovingTargets().slice()) {
+        if (blastDamage(target.position.distanceTo(center)) < TARGET_KILL_DAMAGE) continue;
+        createExplosion(target.position.clone(), 1);
+        scene.remove(target);
+        terrainManager.unregisterMovingTarget(target);
+        scoreKill('moving', POINTS_PER_BUILDING);
+    }
+}
+
+function scoreKill(target, earned) {
+    points += earned;
+    recordEvent('kill', { target, points: earned });
+    updateHUD();
+}
+
+// Action Listeners (bindings are editable in the controls menu)
+onAction('fire', () => queueAction(fireLasers));
+onAction('bomb', () => queueAction(releaseWeapon));
+onAction('reset', () => queueAction(resetPlane));
+
+// Simulation: pause and slow motion
+onAction('pause', () => {
+    if (isReplaying()) toggleReplayPlayback();
+    else if (simClock) simClock.togglePause();
+});
+onAction('slower', () => { if (simClock) simClock.slower(); });
+onAction('faster', () => { if (simClock) simClock.faster(); });
+onAction('settings', () => toggleSettings());
+onAction('cameraNext', () => cycleCameraMode());
+onAction('cameraChase', () => setCameraMode('chase'));
+onAction('cameraCockpit', () => setCameraMode('cockpit'));
+onAction('cameraPadlock', () => setCameraMode('padlock'));
+onAction('cameraTactical', () => setCameraMode('tactical'));
+onAction('cameraFree', () => setCameraMode('free'));
+onAction('photoMode', () => togglePhotoMode());
+onAction('replay', () => { if (plane) toggleReplay(); });
+onAction('mouseAim', () => setOption('mouseAim', 'enabled', !mouseAimSettings.enabled));
+onAction('weaponNext', () => queueAction(selectNextStation));
+onAction('loadout', () => toggleLoadout());
+onAction('targetPod', () => toggleTargetPod());
+onAction('podMode', () => cyclePodMode());
+onAction('podDesignate', () => queueAction(designateTarget));
+onAction('mirror', () => setOption('pip', 'mirrorEnabled', !pipSettings.mirrorEnabled));
+
+// Autopilot modes (engaged on the next simulation step, not while taxiing or crashed)
+const autopilotAction = (fn) => () => queueAction(() => {
+    if (plane && !flight.onGround && !isCrashed) fn(plane);
 });
+onAction('apAltitude', autopilotAction(toggleAltitudeHold));
+onAction('apHeading', autopilotAction(toggleHeadingHold));
+onAction('apLevel', autopilotAction(toggleWingsLevel));
+onAction('apApproach', autopilotAction(toggleApproach));
+onAction('apOff', () => queueAction(() => disengageAutopilot()));
+
+// Aircraft systems
+onAction('gear', () => queueAction(() => {
+    if (!toggleGear(flight)) console.log("Gear handle locked: weight on wheels");
+}));
+onAction('flaps', () => queueAction(() => cycleFlaps(flight)));
+onAction('speedBrake', () => queueAction(() => toggleSpeedBrake(flight)));
+onAction('afterburner', () => queueAction(() => toggleAfterburner(flight)));
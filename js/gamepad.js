@@ -0,0 +1,194 @@
+// Gamepad / HOTAS input through the Gamepad API.
+// Controllers are picked up on 'gamepadconnected' and dropped on 'gamepaddisconnected'.
+// pollGamepad() is called once per simulation step; the latest values live in gamepadState.
+
+// Tunables (shared by every controller)
+export const gamepadSettings = {
+    deadzone: 0.12,       // stick travel ignored around centre
+    expo: 0.4,            // 0 = linear, 1 = fully cubic (softer around centre)
+    invertPitch: false,
+    invertRoll: false,
+    invertYaw: false,
+    invertThrottle: false
+};
+
+// Axis/button layouts
+// 'standard' is the browser's remapped layout for Xbox/PlayStation pads.
+// Everything else (flight sticks, HOTAS) is read as a generic joystick.
+const LAYOUTS = {
+    standard: {
+        axes: { roll: 0, pitch: 1, yaw: 2, throttle: null },
+        throttleUp: 7,    // RT (analog)
+        throttleDown: 6,  // LT (analog)
+        fire: [0, 5],     // A, RB
+        bomb: [1, 4],     // B, LB
+        brake: [2]        // X
+    },
+    joystick: {
+        axes: { roll: 0, pitch: 1, yaw: 5, throttle: 2 },
+        throttleUp: null,
+        throttleDown: null,
+        fire: [0],        // trigger
+        bomb: [1],        // thumb button
+        brake: [2]
+    }
+};
+
+export const gamepadState = {
+    connected: false,
+    id: '',
+    pitch: 0,            // -1..1, positive = nose up
+    roll: 0,             // -1..1, positive = bank left
+    yaw: 0,              // -1..1, positive = yaw left
+    throttle: null,      // 0..1 when a throttle lever moved this poll, otherwise null
+    throttleRate: 0,     // -1..1 for pads without a lever (triggers)
+    firePressed: false,  // true only on the poll the button went down
+    bombPressed: false,
+    brake: 0             // wheel brakes, 0..1 while held
+};
+
+let activeIndex = null;
+let lastThrottleAxis = null;
+let fireWasDown = false;
+let bombWasDown = false;
+
+window.addEventListener('gamepadconnected', (e) => {
+    console.log(`Gamepad connected: ${e.gamepad.id} (${e.gamepad.mapping || 'no mapping'})`);
+    if (activeIndex === null) selectGamepad(e.gamepad);
+});
+
+window.addEventListener('gamepaddisconnected', (e) => {
+    console.log(`Gamepad disconnected: ${e.gamepad.id}`);
+    if (e.gamepad.index !== activeIndex) return;
+
+    activeIndex = null;
+    clearState();
+
+    // Fall back to any other controller that is still plugged in
+    for (const pad of listGamepads()) {
+        selectGamepad(pad);
+        break;
+    }
+    updateStatus();
+});
+
+function listGamepads() {
+    if (!navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads()).filter(p => p && p.connected);
+}
+
+function selectGamepad(pad) {
+    activeIndex = pad.index;
+    lastThrottleAxis = null;
+    gamepadState.connected = true;
+    gamepadState.id = pad.id;
+    updateStatus();
+}
+
+function clearState() {
+    gamepadState.connected = false;
+    gamepadState.id = '';
+    gamepadState.pitch = 0;
+    gamepadState.roll = 0;
+    gamepadState.yaw = 0;
+    gamepadState.throttle = null;
+    gamepadState.throttleRate = 0;
+    gamepadState.firePressed = false;
+    gamepadState.bombPressed = false;
+    gamepadState.brake = 0;
+    fireWasDown = false;
+    bombWasDown = false;
+}
+
+function updateStatus() {
+    const status = document.getElementById('gamepad-status');
+    if (!status) return;
+    if (gamepadState.connected) {
+        // Controller ids are long ("Xbox 360 Controller (XInput STANDARD GAMEPAD)"), keep the name part
+        status.innerText = `PAD: ${gamepadState.id.split('(')[0].trim().slice(0, 24)}`;
+        status.style.display = 'block';
+    } else {
+        status.style.display = 'none';
+    }
+}
+
+/**
+ * Apply deadzone (rescaled so output still starts at 0) and the expo response curve
+ */
+export function shapeAxis(value, deadzone = gamepadSettings.deadzone, expo = gamepadSettings.expo) {
+    const mag = Math.abs(value);
+    if (mag <= deadzone) return 0;
+    const x = Math.min(1, (mag - deadzone) / (1 - deadzone));
+    return Math.sign(value) * ((1 - expo) * x + expo * x * x * x);
+}
+
+function readAxis(pad, index) {
+    if (index === null || index >= pad.axes.length) return 0;
+    return pad.axes[index] || 0;
+}
+
+function anyButton(pad, indices) {
+    return indices.some(i => pad.buttons[i] && pad.buttons[i].pressed);
+}
+
+function buttonValue(pad, index) {
+    if (index === null || !pad.buttons[index]) return 0;
+    return pad.buttons[index].value;
+}
+
+/**
+ * Read the active controller into gamepadState. Call once per simulation step.
+ */
+export function pollGamepad() {
+    gamepadState.firePressed = false;
+    gamepadState.bombPressed = false;
+    gamepadState.throttle = null;
+
+    if (activeIndex === null) {
+        // Chrome only fires 'gamepadconnected' after a button press; pick up pads that were already there
+        const pads = listGamepads();
+        if (pads.length === 0) return;
+        selectGamepad(pads[0]);
+    }
+
+    const pad = navigator.getGamepads()[activeIndex];
+    if (!pad || !pad.connected) {
+        // Vanished without a disconnect event: don't leave the stick deflected
+        activeIndex = null;
+        clearState();
+        updateStatus();
+        return;
+    }
+
+    const layout = pad.mapping === 'standard' ? LAYOUTS.standard : LAYOUTS.joystick;
+    const s = gamepadSettings;
+
+    // Stick pulled back reads positive on Y, which is nose up
+    gamepadState.pitch = shapeAxis(readAxis(pad, layout.axes.pitch)) * (s.invertPitch ? -1 : 1);
+    // Stick right reads positive on X, which is a right bank (negative roll)
+    gamepadState.roll = -shapeAxis(readAxis(pad, layout.axes.roll)) * (s.invertRoll ? -1 : 1);
+    gamepadState.yaw = -shapeAxis(readAxis(pad, layout.axes.yaw)) * (s.invertYaw ? -1 : 1);
+
+    // Absolute throttle lever: -1 is full forward on most HOTAS units.
+    // Only report it when it moves so the keyboard can still adjust power.
+    if (layout.axes.throttle !== null && layout.axes.throttle < pad.axes.length) {
+        const raw = readAxis(pad, layout.axes.throttle) * (s.invertThrottle ? -1 : 1);
+        if (lastThrottleAxis === null || Math.abs(raw - lastThrottleAxis) > 0.01) {
+            if (lastThrottleAxis !== null) gamepadState.throttle = (1 - raw) / 2;
+            lastThrottleAxis = raw;
+        }
+    }
+
+    // Trigger throttle (pads)
+    gamepadState.throttleRate = buttonValue(pad, layout.throttleUp) - buttonValue(pad, layout.throttleDown);
+
+    gamepadState.brake = anyButton(pad, layout.brake) ? 1 : 0;
+
+    // Weapons fire on the press, not while held
+    const fireDown = anyButton(pad, layout.fire);
+    const bombDown = anyButton(pad, layout.bomb);
+    gamepadState.firePressed = fireDown && !fireWasDown;
+    gamepadState.bombPressed = bombDown && !bombWasDown;
+    fireWasDown = fireDown;
+    bombWasDown = bombDown;
+}
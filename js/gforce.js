@@ -0,0 +1,100 @@
+import { POSITIVE_G_LIMIT, NEGATIVE_G_LIMIT } from './flight.js?v=10';
+
+// Pilot G tolerance.
+// Sustained positive G drains blood from the head: colour goes first (greyout), vision tunnels in,
+// then the screen goes black and the pilot passes out (G-LOC) until the jet unloads and they come round.
+// Negative G does the opposite and floods the view red (redout).
+
+export const pilot = {
+    greyout: 0,        // 0..1, 1 = blacked out
+    redout: 0,         // 0..1
+    unconscious: false // G-LOC: no control inputs until recovered
+};
+
+const GREYOUT_G = 5;          // onset of greyout
+const G_TOLERANCE = 12;       // G-seconds above the onset before blacking out (3 s at 9 G)
+const REDOUT_G = -2;
+const NEGATIVE_G_TOLERANCE = 4;
+const RECOVERY_RATE = 0.35;   // per second once the load comes off
+const WAKE_LEVEL = 0.3;       // greyout level at which an unconscious pilot comes round
+
+let overlay = null;
+let viewCanvas = null;
+
+/**
+ * Add the vision overlay above the 3D view. The canvas is desaturated during greyout.
+ */
+export function setupGForceEffects(canvas) {
+    viewCanvas = canvas;
+    overlay = document.createElement('div');
+    overlay.id = 'g-overlay';
+    document.body.appendChild(overlay);
+}
+
+export function resetPilot() {
+    pilot.greyout = 0;
+    pilot.redout = 0;
+    pilot.unconscious = false;
+}
+
+/**
+ * Simulation step: accumulate or recover from the load factor in the flight state
+ */
+export function updatePilot(flight, delta) {
+    const g = flight.gLoad;
+
+    if (g > GREYOUT_G) pilot.greyout += (g - GREYOUT_G) / G_TOLERANCE * delta;
+    else pilot.greyout -= RECOVERY_RATE * delta;
+
+    if (g < REDOUT_G) pilot.redout += (REDOUT_G - g) / NEGATIVE_G_TOLERANCE * delta;
+    else pilot.redout -= RECOVERY_RATE * delta;
+
+    pilot.greyout = Math.min(1, Math.max(0, pilot.greyout));
+    pilot.redout = Math.min(1, Math.max(0, pilot.redout));
+
+    if (pilot.greyout >= 1) pilot.unconscious = true;
+    else if (pilot.unconscious && pilot.greyout < WAKE_LEVEL) pilot.unconscious = false;
+}
+
+/**
+ * Render-time: G readout, warnings and the greyout / blackout / redout overlay
+ */
+export function updateGForceHUD(flight) {
+    const g = flight.gLoad;
+
+    const gBar = document.getElementById('g-bar');
+    const gVal = document.getElementById('g-val');
+    if (gBar) {
+        // Bar runs from the negative to the positive limit
+        const pct = (g - NEGATIVE_G_LIMIT) / (POSITIVE_G_LIMIT - NEGATIVE_G_LIMIT) * 100;
+        gBar.style.width = `${Math.min(100, Math.max(0, pct))}%`;
+        gBar.classList.toggle('danger', flight.overG);
+    }
+    if (gVal) gVal.innerText = `${g >= 0 ? '+' : ''}${g.toFixed(1)} G`;
+
+    const warning = document.getElementById('g-warning');
+    if (warning) {
+        warning.style.display = flight.overG || pilot.unconscious ? 'block' : 'none';
+        warning.innerText = pilot.unconscious ? 'G-LOC' : 'OVER-G';
+    }
+
+    if (!overlay) return;
+
+    // Greyout: colour drains, then the edges close in, then the centre goes
+    const grey = pilot.greyout;
+    const tunnel = Math.min(1, Math.max(0, (grey - 0.3) / 0.5));
+    const black = Math.min(1, Math.max(0, (grey - 0.7) / 0.3));
+    const inner = 60 * (1 - tunnel);
+    const vignette = `radial-gradient(circle, rgba(0,0,0,${black}) ${inner}%, rgba(0,0,0,${Math.min(1, tunnel * 1.5)}) ${inner + 30}%)`;
+
+    // Redout: a red wash that thickens towards the edges
+    const red = pilot.redout;
+    const redWash = `radial-gradient(circle, rgba(170,0,0,${red * 0.6}) 20%, rgba(120,0,0,${red * 0.95}) 80%)`;
+
+    overlay.style.display = grey > 0 || red > 0 ? 'block' : 'none';
+    overlay.style.background = `${vignette}, ${redWash}`;
+
+    if (viewCanvas) {
+        viewCanvas.style.filter = grey > 0 ? `grayscale(${Math.min(1, grey * 2)}) brightness(${1 - 0.4 * grey})` : '';
+    }
+}
@@ -0,0 +1,392 @@
+import * as THREE from 'three';
+import { getHeight } from './terrain.js?v=36';
+
+// Guided missiles.
+// The seeker searches a cone ahead of the jet; keeping a target in the cone for the lock time locks
+// it, and the lock tone changes from a growl to a steady tone. A missile fired with a lock steers by
+// proportional navigation: it turns at a multiple of the rotation rate of its line of sight to the
+// target, no faster than its turn rate. The motor burns for a few seconds, then it coasts, slows and
+// falls. Heat seekers are fire-and-forget; radar missiles home only while the jet keeps the target
+// inside its radar cone. Rounds and selection belong to the weapon manager (weapons.js); hits are
+// handed back to the game (scoring, damage) through onHit.
+
+export const MISSILE_TYPES = {
+    heat: {
+        label: 'AIM-9',
+        seekerCone: 0.2,      // half-angle (rad) the seeker searches / holds a lock in
+        range: 1200,
+        lockTime: 1,          // s in the cone to lock
+        burnTime: 4,          // s of motor
+        acceleration: 150,    // units/s² while the motor burns
+        maxSpeed: 400,
+        turnRate: 1.2,        // rad/s
+        navConstant: 4
+    },
+    radar: {
+        label: 'AIM-120',
+        seekerCone: 0.35,
+        range: 2500,
+        lockTime: 2,
+        burnTime: 6,
+        acceleration: 120,
+        maxSpeed: 450,
+        turnRate: 0.7,
+        navConstant: 3
+    }
+};
+
+const RADAR_CONE = 0.7;         // half-angle the jet's radar illuminates for radar missiles
+const GRAVITY = -30;            // after burnout (same pull as the bombs)
+const COAST_DRAG = 0.3;         // fraction of speed lost per second without the motor
+const MAX_FLIGHT_TIME = 15;     // s, then it self-destructs
+const FUZE_RADIUS = 8;          // proximity fuze
+const LAUNCH_OFFSET = new THREE.Vector3(2.5, -0.8, 0); // wing rail, plane local (alternating sides)
+const SMOKE_INTERVAL = 0.03;    // s between trail puffs while the motor burns
+const SMOKE_LIFETIME = 3;
+const MAX_PUFFS = 400;
+const GROWL_FREQUENCY = 400;    // Hz, seeker tracking
+const LOCK_FREQUENCY = 1000;    // Hz, locked
+const TONE_VOLUME = 0.05;
+
+let scene = null;
+let getTargets = () => [];
+let getAimPoint = (target, out) => out.copy(target.position);
+let onHit = () => {};
+let onMiss = () => {};
+
+const missiles = [];            // { mesh, type, velocity, target, lastAim, fuel, age, smokeTimer }
+const puffs = [];               // { mesh, age }
+let selected = null;             // seeker type of the selected station, null when it isn't a missile
+let railSide = 1;
+
+// Seeker: the target in the cone and how long it has been held there
+let seekerTarget = null;
+let seekerTime = 0;
+
+let seekerBox = null;
+let audio = null;               // { context, oscillator, gain }
+
+const bodyGeometry = new THREE.CylinderGeometry(0.2, 0.2, 3, 8).rotateX(Math.PI / 2);
+const finGeometry = new THREE.BoxGeometry(1, 0.05, 0.5);
+const missileMaterial = new THREE.MeshStandardMaterial({ color: 0xdddddd, metalness: 0.3, roughness: 0.5 });
+const puffGeometry = new THREE.IcosahedronGeometry(0.5, 0);
+
+const _forward = new THREE.Vector3();
+const _toTarget = new THREE.Vector3();
+const _aim = new THREE.Vector3();
+const _targetVelocity = new THREE.Vector3();
+const _relative = new THREE.Vector3();
+const _omega = new THREE.Vector3();
+const _accel = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _desired = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _previous = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _segment = new THREE.Line3();
+const _projected = new THREE.Vector3();
+
+/**
+ * options: getTargets() lists what the seeker can lock, getAimPoint(target, out) where to hit it,
+ * onHit(target, position) and onMiss(position) when a missile goes off
+ */
+export function setupMissiles(targetScene, options = {}) {
+    scene = targetScene;
+    if (options.getTargets) getTargets = options.getTargets;
+    if (options.getAimPoint) getAimPoint = options.getAimPoint;
+    if (options.onHit) onHit = options.onHit;
+    if (options.onMiss) onMiss = options.onMiss;
+
+    seekerBox = document.createElement('div');
+    seekerBox.id = 'seeker-box';
+    seekerBox.style.display = 'none';
+    document.body.appendChild(seekerBox);
+}
+
+/**
+ * Point the seeker for a missile type ('heat' / 'radar'), or switch it off with null
+ */
+export function setMissileType(type) {
+    if (type === selected) return;
+    selected = type;
+    resetSeeker();
+}
+
+export function getMissiles() {
+    return missiles;
+}
+
+/**
+ * Drop the lock (respawn, crash)
+ */
+export function resetSeeker() {
+    seekerTarget = null;
+    seekerTime = 0;
+}
+
+function isLocked() {
+    return seekerTarget !== null && seekerTime >= MISSILE_TYPES[selected].lockTime;
+}
+
+/**
+ * Seeker state for the HUD: 'LOCK', 'SEEK nn%' while the lock builds, or '' with nothing in the cone
+ */
+export function getSeekerReadout() {
+    if (!selected || !seekerTarget) return '';
+    if (isLocked()) return 'LOCK';
+    return `SEEK ${Math.round(seekerTime / MISSILE_TYPES[selected].lockTime * 100)}%`;
+}
+
+// Angle off the jet's nose and range to a target, or null if it's gone
+function targetGeometry(plane, target, out) {
+    if (!target.parent) return null;
+    getAimPoint(target, _aim);
+    _toTarget.copy(_aim).sub(plane.position);
+    const range = _toTarget.length();
+    _forward.set(0, 0, -1).applyQuaternion(plane.quaternion);
+    out.range = range;
+    out.angle = range > 0 ? _forward.angleTo(_toTarget) : 0;
+    return out;
+}
+
+const _geometry = { range: 0, angle: 0 };
+
+/**
+ * Simulation step: keep the seeker on its target (or search the cone for the one nearest the nose)
+ * and run the lock timer. Pass plane = null to switch the seeker off.
+ */
+export function updateSeeker(plane, delta) {
+    if (!plane || !selected) {
+        resetSeeker();
+        return;
+    }
+    const type = MISSILE_TYPES[selected];
+
+    if (seekerTarget) {
+        const geometry = targetGeometry(plane, seekerTarget, _geometry);
+        if (!geometry || geometry.angle > type.seekerCone || geometry.range > type.range) resetSeeker();
+    }
+    if (!seekerTarget) {
+        let bestAngle = type.seekerCone;
+        for (const candidate of getTargets()) {
+            const geometry = targetGeometry(plane, candidate, _geometry);
+            if (geometry && geometry.range <= type.range && geometry.angle < bestAngle) {
+                bestAngle = geometry.angle;
+                seekerTarget = candidate;
+            }
+        }
+        seekerTime = 0;
+    }
+    if (seekerTarget) seekerTime += delta;
+}
+
+/**
+ * Launch a missile of the seeker's type at the locked target (unguided without a lock).
+ * Returns the missile ({ mesh, type, velocity, ... }), or undefined with the seeker off.
+ */
+export function fireMissile(plane, planeVelocity) {
+    if (!plane || !selected) return;
+
+    const mesh = new THREE.Group();
+    mesh.add(new THREE.Mesh(bodyGeometry, missileMaterial));
+    const fin = new THREE.Mesh(finGeometry, missileMaterial);
+    fin.position.z = -1.2; // tail
+    mesh.add(fin, fin.clone().rotateZ(Math.PI / 2));
+
+    railSide = -railSide;
+    mesh.position.copy(LAUNCH_OFFSET).setX(LAUNCH_OFFSET.x * railSide).applyMatrix4(plane.matrixWorld);
+    scene.add(mesh);
+
+    const target = isLocked() ? seekerTarget : null;
+    const missile = {
+        mesh,
+        type: selected,
+        velocity: planeVelocity.clone(),
+        target,
+        lastAim: target ? getAimPoint(target, new THREE.Vector3()) : null,
+        fuel: MISSILE_TYPES[selected].burnTime,
+        age: 0,
+        smokeTimer: 0
+    };
+    // Leaving the rail along the nose, at least a little faster than the jet
+    _forward.set(0, 0, -1).applyQuaternion(plane.quaternion);
+    if (missile.velocity.dot(_forward) < 20) missile.velocity.addScaledVector(_forward, 20);
+    mesh.lookAt(_dir.copy(mesh.position).add(missile.velocity));
+    missiles.push(missile);
+    return missile;
+}
+
+// Proportional navigation: accelerate at N times the line-of-sight rate across the missile's path
+function guide(missile, delta) {
+    const type = MISSILE_TYPES[missile.type];
+    getAimPoint(missile.target, _aim);
+    _targetVelocity.copy(_aim).sub(missile.lastAim).divideScalar(delta);
+    missile.lastAim.copy(_aim);
+
+    _toTarget.copy(_aim).sub(missile.mesh.position);
+    const rangeSq = _toTarget.lengthSq();
+    if (rangeSq < 1) return;
+    _relative.copy(_targetVelocity).sub(missile.velocity);
+    _omega.crossVectors(_toTarget, _relative).divideScalar(rangeSq);
+    _accel.crossVectors(_omega, missile.velocity).multiplyScalar(type.navConstant);
+
+    // Turn the velocity towards the commanded direction, no faster than the airframe allows
+    const speed = missile.velocity.length();
+    _dir.copy(missile.velocity).divideScalar(speed);
+    _desired.copy(missile.velocity).addScaledVector(_accel, delta).normalize();
+    const angle = _dir.angleTo(_desired);
+    const maxAngle = type.turnRate * delta;
+    if (angle > maxAngle) {
+        _axis.crossVectors(_dir, _desired).normalize();
+        _desired.copy(_dir).applyAxisAngle(_axis, maxAngle);
+    }
+    missile.velocity.copy(_desired).multiplyScalar(speed);
+}
+
+// Radar missiles need the jet's radar on the target
+function isIlluminated(plane, target) {
+    if (!plane) return false;
+    const geometry = targetGeometry(plane, target, _geometry);
+    return geometry !== null && geometry.angle < RADAR_CONE && geometry.range < MISSILE_TYPES.radar.range * 1.2;
+}
+
+function emitPuff(position) {
+    if (puffs.length >= MAX_PUFFS) removePuff(0);
+    const material = new THREE.MeshBasicMaterial({ color: 0xeeeeee, transparent: true, opacity: 0.7, depthWrite: false });
+    const mesh = new THREE.Mesh(puffGeometry, material);
+    mesh.position.copy(position);
+    scene.add(mesh);
+    puffs.push({ mesh, age: 0 });
+}
+
+function removePuff(index) {
+    const puff = puffs[index];
+    scene.remove(puff.mesh);
+    puff.mesh.material.dispose();
+    puffs.splice(index, 1);
+}
+
+function removeMissile(index) {
+    scene.remove(missiles[index].mesh);
+    missiles.splice(index, 1);
+}
+
+/**
+ * Simulation step: guide, move and fuze the missiles in flight and age their smoke.
+ * plane (or null) is the launching jet, for radar illumination.
+ */
+export function updateMissiles(plane, delta) {
+    if (!scene) return;
+
+    for (let i = puffs.length - 1; i >= 0; i--) {
+        const puff = puffs[i];
+        puff.age += delta;
+        if (puff.age > SMOKE_LIFETIME) {
+            removePuff(i);
+            continue;
+        }
+        const t = puff.age / SMOKE_LIFETIME;
+        puff.mesh.scale.setScalar(1 + t * 5);
+        puff.mesh.material.opacity = 0.7 * (1 - t);
+    }
+
+    for (let i = missiles.length - 1; i >= 0; i--) {
+        const missile = missiles[i];
+        const type = MISSILE_TYPES[missile.type];
+        missile.age += delta;
+
+        // Destroyed by something else: fly on unguided
+        if (missile.target && !missile.target.parent) missile.target = null;
+        if (missile.target && (missile.type === 'heat' || isIlluminated(plane, missile.target))) {
+            guide(missile, delta);
+        } else if (missile.target) {
+            getAimPoint(missile.target, missile.lastAim); // keep the line-of-sight history fresh
+        }
+
+        // Motor, then a slowing, falling coast
+        const speed = missile.velocity.length();
+        if (missile.fuel > 0) {
+            missile.fuel -= delta;
+            const boosted = Math.min(type.maxSpeed, speed + type.acceleration * delta);
+            missile.velocity.multiplyScalar(boosted / speed);
+            missile.smokeTimer -= delta;
+            if (missile.smokeTimer <= 0) {
+                emitPuff(missile.mesh.position);
+                missile.smokeTimer = SMOKE_INTERVAL;
+            }
+        } else {
+            missile.velocity.multiplyScalar(1 - COAST_DRAG * delta);
+            missile.velocity.y += GRAVITY * delta;
+        }
+
+        _previous.copy(missile.mesh.position);
+        missile.mesh.position.addScaledVector(missile.velocity, delta);
+        missile.mesh.lookAt(_dir.copy(missile.mesh.position).add(missile.velocity)); // nose (+Z) along the flight path
+
+        // Proximity fuze: closest approach to the target along this step
+        if (missile.target) {
+            getAimPoint(missile.target, _aim);
+            _segment.set(_previous, missile.mesh.position).closestPointToPoint(_aim, true, _closest);
+            if (_closest.distanceTo(_aim) < FUZE_RADIUS) {
+                onHit(missile.target, _closest.clone());
+                removeMissile(i);
+                continue;
+            }
+        }
+
+        const pos = missile.mesh.position;
+        if (pos.y <= getHeight(pos.x, pos.z)) {
+            onMiss(pos.clone());
+            removeMissile(i);
+        } else if (missile.age > MAX_FLIGHT_TIME) {
+            onMiss(pos.clone()); // self-destruct
+            removeMissile(i);
+        }
+    }
+}
+
+function updateLockTone(tracking, locked) {
+    if (!tracking && !audio) return;
+    if (!audio) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        const context = new AudioContextClass();
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.type = 'square';
+        gain.gain.value = 0;
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start();
+        audio = { context, oscillator, gain };
+    }
+    // Starts suspended until the page has had a click or key press
+    if (audio.context.state === 'suspended') audio.context.resume();
+
+    const now = audio.context.currentTime;
+    // The growl pulses; the lock tone is steady
+    const growlOn = Math.floor(now * 8) % 2 === 0;
+    audio.oscillator.frequency.setTargetAtTime(locked ? LOCK_FREQUENCY : GROWL_FREQUENCY, now, 0.01);
+    audio.gain.gain.setTargetAtTime(locked || (tracking && growlOn) ? TONE_VOLUME : 0, now, 0.01);
+}
+
+/**
+ * Render-time: the seeker box over the target and the lock tone.
+ * active = false hides it (crashed, replays); muted silences just the tone (paused, photo mode).
+ */
+export function updateMissileHUD(camera, active = true, muted = false) {
+    const tracking = active && seekerTarget !== null;
+    const locked = tracking && isLocked();
+    updateLockTone(tracking && !muted, locked && !muted);
+
+    let showBox = false;
+    if (tracking && seekerBox) {
+        getAimPoint(seekerTarget, _projected).project(camera);
+        showBox = _projected.z < 1;
+        if (showBox) {
+            seekerBox.style.left = `${(_projected.x + 1) * 0.5 * window.innerWidth}px`;
+            seekerBox.style.top = `${(-_projected.y + 1) * 0.5 * window.innerHeight}px`;
+            seekerBox.classList.toggle('locked', locked);
+        }
+    }
+    if (seekerBox) seekerBox.style.display = showBox ? 'block' : 'none';
+}
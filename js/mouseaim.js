@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+
+// Mouse-aim flight mode.
+// The mouse steers a free aim direction in the world; an instructor controller then banks and
+// pitches the jet towards it (bank-and-pull when far off, small corrections and wings-level when close).
+// Keyboard/gamepad input on an axis always overrides the instructor for that axis.
+
+export const mouseAimSettings = {
+    enabled: false,
+    sensitivity: 0.002 // radians of aim per pixel of mouse movement
+};
+
+const AIM_DISTANCE = 500;            // how far ahead the aim cursor is drawn
+const AGGRESSIVE_TURN_ANGLE = 0.17;  // ~10 degrees: beyond this, bank towards the target
+const PITCH_GAIN = 4.0;
+const YAW_GAIN = 2.0;
+const ROLL_GAIN = 3.0;
+const WINGS_LEVEL_GAIN = 2.0;
+const MAX_AIM_PITCH = 1.4;           // keep clear of straight up/down
+
+let aimYaw = 0;    // world heading of the aim direction (0 = -Z, positive = left)
+let aimPitch = 0;
+let wasEnabled = false;
+let cursor = null;
+
+const aimDirection = new THREE.Vector3(0, 0, -1);
+const _local = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _inverse = new THREE.Quaternion();
+const _forward = new THREE.Vector3();
+
+function updateAimDirection() {
+    aimDirection.set(
+        -Math.sin(aimYaw) * Math.cos(aimPitch),
+        Math.sin(aimPitch),
+        -Math.cos(aimYaw) * Math.cos(aimPitch)
+    );
+}
+
+/**
+ * Point the aim straight down the plane's nose (on enable and after a respawn)
+ */
+export function resetMouseAim(plane) {
+    if (!plane) return;
+    _forward.set(0, 0, -1).applyQuaternion(plane.quaternion);
+    aimYaw = Math.atan2(-_forward.x, -_forward.z);
+    aimPitch = Math.asin(THREE.MathUtils.clamp(_forward.y, -1, 1));
+    updateAimDirection();
+}
+
+export function getAimDirection() {
+    return aimDirection;
+}
+
+export function isMouseAimActive() {
+    return mouseAimSettings.enabled;
+}
+
+/**
+ * Instructor controller: control inputs (-1..1) that turn the plane towards the aim direction
+ */
+export function getMouseAimInput(plane) {
+    // Aim direction in the plane's body frame (forward -Z, up +Y, right +X)
+    _inverse.copy(plane.quaternion).invert();
+    _local.copy(aimDirection).applyQuaternion(_inverse);
+
+    const angleOff = Math.acos(THREE.MathUtils.clamp(-_local.z, -1, 1));
+
+    const pitch = THREE.MathUtils.clamp(_local.y * PITCH_GAIN, -1, 1);
+    const yaw = THREE.MathUtils.clamp(-_local.x * YAW_GAIN, -1, 1);
+
+    // Far off target: roll towards it. Close to it: level the wings.
+    const aggressiveRoll = THREE.MathUtils.clamp(-_local.x * ROLL_GAIN, -1, 1);
+    _right.set(1, 0, 0).applyQuaternion(plane.quaternion);
+    const wingsLevelRoll = THREE.MathUtils.clamp(-_right.y * WINGS_LEVEL_GAIN, -1, 1);
+    const blend = THREE.MathUtils.clamp(angleOff / AGGRESSIVE_TURN_ANGLE, 0, 1);
+    const roll = THREE.MathUtils.lerp(wingsLevelRoll, aggressiveRoll, blend);
+
+    return { pitch, roll, yaw };
+}
+
+function setupCursor() {
+    cursor = document.createElement('div');
+    cursor.id = 'mouse-aim-cursor';
+    cursor.style.display = 'none';
+    document.body.appendChild(cursor);
+}
+
+/**
+ * Render-time update: re-centre when the mode is switched on and draw the aim cursor
+ */
+export function updateMouseAim(plane, camera) {
+    if (!cursor) setupCursor();
+
+    if (mouseAimSettings.enabled !== wasEnabled) {
+        wasEnabled = mouseAimSettings.enabled;
+        if (wasEnabled) {
+            resetMouseAim(plane);
+        } else if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+    }
+
+    if (!mouseAimSettings.enabled || !plane || !camera) {
+        cursor.style.display = 'none';
+        return;
+    }
+
+    const target = camera.position.clone().addScaledVector(aimDirection, AIM_DISTANCE);
+    const projected = target.project(camera);
+    if (projected.z > 1) {
+        cursor.style.display = 'none';
+        return;
+    }
+    cursor.style.display = 'block';
+    cursor.style.left = `${(projected.x + 1) * 0.5 * window.innerWidth}px`;
+    cursor.style.top = `${(-projected.y + 1) * 0.5 * window.innerHeight}px`;
+}
+
+document.addEventListener('mousedown', (e) => {
+    // Capture the mouse on the first click so it can't leave the window
+    if (!mouseAimSettings.enabled || document.pointerLockElement) return;
+    if (e.target && e.target.closest && e.target.closest('#settings-overlay, #loadout-panel, #photo-panel, #replay-panel, .hud-button')) return;
+    if (document.body.requestPointerLock) document.body.requestPointerLock();
+});
+
+document.addEventListener('mousemove', (e) => {
+    if (!mouseAimSettings.enabled) return;
+    aimYaw -= e.movementX * mouseAimSettings.sensitivity;
+    aimPitch -= e.movementY * mouseAimSettings.sensitivity;
+    aimPitch = THREE.MathUtils.clamp(aimPitch, -MAX_AIM_PITCH, MAX_AIM_PITCH);
+    updateAimDirection();
+});
@@ -0,0 +1,252 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { isActionHeld } from './bindings.js?v=14';
+import { getCameraMode, setCameraMode, moveFreeCamera } from './camera.js?v=6';
+import { el, downloadBlob } from './ui.js?v=1';
+
+// Photo mode.
+// Freezes the simulation (game.js stops advancing the clock), hides the HUD and hands over a free
+// camera: the flight keys fly it (W/S forward/back, A/D sideways, Q/E down/up), middle mouse looks.
+// The view goes through a post-processing chain for depth of field and exposure, and screenshots
+// are rendered offscreen with the same chain at a multiple of the screen resolution.
+
+export const photoSettings = {
+    fov: 75,
+    focus: 60,       // world units to the sharp plane
+    aperture: 0,     // 0 = everything sharp
+    exposure: 1,
+    scale: 2         // screenshot size as a multiple of the screen
+};
+
+const FLY_SPEED = 40;          // units/s
+const APERTURE_SCALE = 0.00001; // slider units to BokehShader aperture
+const MAX_BLUR = 0.01;
+const SCALES = [1, 2, 3, 4];
+
+let renderer = null;
+let scene = null;
+let camera = null;
+let panel = null;
+let composer = null;
+let bokehPass = null;
+let active = false;
+let saving = false;
+let previousCameraMode = 'chase';
+let previousFov = 75;
+let previousToneMapping = THREE.NoToneMapping;
+let previousExposure = 1;
+
+export function setupPhotoMode(options) {
+    ({ renderer, scene, camera } = options);
+
+    panel = document.createElement('div');
+    panel.id = 'photo-panel';
+    panel.className = 'hud-box';
+    panel.style.display = 'none';
+    document.body.appendChild(panel);
+
+    window.addEventListener('resize', () => {
+        if (composer) composer.setSize(window.innerWidth, window.innerHeight);
+    });
+}
+
+export function isPhotoMode() {
+    return active;
+}
+
+export function togglePhotoMode() {
+    if (!renderer) return;
+    if (active) exitPhotoMode();
+    else enterPhotoMode();
+}
+
+function enterPhotoMode() {
+    active = true;
+    previousCameraMode = getCameraMode();
+    previousFov = camera.fov;
+    previousToneMapping = renderer.toneMapping;
+    previousExposure = renderer.toneMappingExposure;
+    photoSettings.fov = camera.fov;
+    setCameraMode('free');
+
+    // Exposure is applied by the output pass, so the scene's materials are left alone
+    renderer.toneMapping = THREE.LinearToneMapping;
+    if (!composer) ({ composer, bokehPass } = createComposer());
+    applySettings();
+
+    document.body.classList.add('photo-mode');
+    renderPanel();
+    panel.style.display = 'block';
+}
+
+function exitPhotoMode() {
+    active = false;
+    camera.fov = previousFov;
+    camera.updateProjectionMatrix();
+    renderer.toneMapping = previousToneMapping;
+    renderer.toneMappingExposure = previousExposure;
+    setCameraMode(previousCameraMode);
+
+    document.body.classList.remove('photo-mode');
+    panel.style.display = 'none';
+}
+
+// Scene -> depth of field -> tone mapping / colour space, to the screen.
+// Offscreen (into target) the output pass is left for the caller to run into its own target.
+function createComposer(target) {
+    const chain = new EffectComposer(renderer, target);
+    if (target) {
+        chain.renderToScreen = false;
+        chain.setPixelRatio(1);
+    }
+    const bokeh = new BokehPass(scene, camera, { focus: photoSettings.focus, aperture: 0, maxblur: MAX_BLUR });
+    const output = new OutputPass();
+    chain.addPass(new RenderPass(scene, camera));
+    chain.addPass(bokeh);
+    if (!target) chain.addPass(output);
+    return { composer: chain, bokehPass: bokeh, outputPass: output };
+}
+
+function applySettings(bokeh = bokehPass) {
+    camera.fov = photoSettings.fov;
+    camera.updateProjectionMatrix();
+    renderer.toneMappingExposure = photoSettings.exposure;
+    bokeh.enabled = photoSettings.aperture > 0;
+    bokeh.uniforms.focus.value = photoSettings.focus;
+    bokeh.uniforms.aperture.value = photoSettings.aperture * APERTURE_SCALE;
+}
+
+/**
+ * Render-time: fly the free camera with the flight keys
+ */
+export function updatePhotoMode(delta) {
+    if (!active) return;
+    const step = FLY_SPEED * delta;
+    let forward = 0, right = 0, up = 0;
+    if (isActionHeld('pitchDown')) forward += step;
+    if (isActionHeld('pitchUp')) forward -= step;
+    if (isActionHeld('yawRight')) right += step;
+    if (isActionHeld('yawLeft')) right -= step;
+    if (isActionHeld('rollRight')) up += step;
+    if (isActionHeld('rollLeft')) up -= step;
+    if (forward || right || up) moveFreeCamera(forward, right, up);
+}
+
+/**
+ * Draw the frame through the photo chain. Returns false when photo mode is off (render normally).
+ */
+export function renderPhotoFrame() {
+    if (!active || !composer) return false;
+    composer.render();
+    return true;
+}
+
+/**
+ * Render the current view offscreen at photoSettings.scale times the screen size and download it as a PNG
+ */
+export function savePhoto() {
+    if (!active || saving) return;
+    saving = true;
+
+    // Stay inside what the GPU can allocate
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const scale = Math.min(photoSettings.scale, maxSize / window.innerWidth, maxSize / window.innerHeight);
+    const width = Math.floor(window.innerWidth * scale);
+    const height = Math.floor(window.innerHeight * scale);
+
+    // The chain works in half float; the output pass writes the final 8-bit image to read back
+    const work = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType });
+    const output = new THREE.WebGLRenderTarget(width, height);
+    const { composer: chain, bokehPass: bokeh, outputPass } = createComposer(work);
+    applySettings(bokeh);
+
+    const pixels = new Uint8Array(width * height * 4);
+    try {
+        chain.render();
+        outputPass.render(renderer, output, chain.readBuffer);
+        renderer.readRenderTargetPixels(output, 0, 0, width, height, pixels);
+    } catch (err) {
+        console.warn('Could not render the screenshot', err);
+        saving = false;
+        return;
+    } finally {
+        renderer.setRenderTarget(null);
+        chain.dispose(); // and the work target
+        bokeh.dispose();
+        outputPass.dispose();
+        output.dispose();
+    }
+
+    // WebGL rows run bottom-up
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+    const rowBytes = width * 4;
+    for (let y = 0; y < height; y++) {
+        image.data.set(pixels.subarray((height - 1 - y) * rowBytes, (height - y) * rowBytes), y * rowBytes);
+    }
+    ctx.putImageData(image, 0, 0);
+
+    canvas.toBlob((blob) => {
+        saving = false;
+        if (!blob) {
+            console.warn('Could not encode the screenshot');
+            return;
+        }
+        downloadBlob(blob, `f16-photo-${width}x${height}-${Date.now()}.png`);
+    }, 'image/png');
+}
+
+function addSlider(grid, name, label, min, max, step, digits) {
+    grid.appendChild(el('div', 'settings-label', label));
+    const input = el('input', 'settings-input');
+    input.type = 'range';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.value = photoSettings[name];
+    const value = el('span', 'settings-value', Number(photoSettings[name]).toFixed(digits));
+    input.addEventListener('input', () => {
+        photoSettings[name] = Number(input.value);
+        value.innerText = photoSettings[name].toFixed(digits);
+        applySettings();
+    });
+    grid.append(input, value);
+}
+
+function renderPanel() {
+    panel.innerHTML = '';
+    panel.appendChild(el('div', 'grid-title', 'PHOTO MODE'));
+
+    const grid = el('div', 'settings-bindings');
+    addSlider(grid, 'fov', 'Field of view', 20, 110, 1, 0);
+    addSlider(grid, 'focus', 'Focus distance', 5, 500, 5, 0);
+    addSlider(grid, 'aperture', 'Depth of field', 0, 10, 0.5, 1);
+    addSlider(grid, 'exposure', 'Exposure', 0.2, 3, 0.05, 2);
+    panel.appendChild(grid);
+
+    const row = el('div', 'settings-row');
+    const select = el('select', 'settings-input');
+    for (const scale of SCALES) {
+        const opt = el('option', '', `${scale}x (${window.innerWidth * scale}x${window.innerHeight * scale})`);
+        opt.value = scale;
+        opt.selected = scale === photoSettings.scale;
+        select.appendChild(opt);
+    }
+    select.addEventListener('change', () => {
+        photoSettings.scale = Number(select.value);
+    });
+    const save = el('button', 'settings-button', 'SAVE PNG');
+    save.addEventListener('click', savePhoto);
+    const close = el('button', 'settings-button', 'EXIT');
+    close.addEventListener('click', togglePhotoMode);
+    row.append(el('span', 'settings-label', 'SIZE'), select, save, close);
+    panel.appendChild(row);
+
+    panel.appendChild(el('div', 'settings-hint', 'W/S/A/D/Q/E fly, middle mouse looks, wheel moves forward/back.'));
+}
@@ -0,0 +1,220 @@
+import * as THREE from 'three';
+
+// Picture-in-picture feeds.
+// Each feed is a camera drawn into its own corner of the main renderer's canvas with a scissor
+// viewport after the main view, under a bordered, labelled frame. Feeds: the bomb cam (follows a
+// falling bomb from behind the jet), the laser-hit cam (a look at the last laser impact), the rear-view
+// mirror and the target cam (a zoomed view of the selected target). Other modules drive their own
+// feed through setPipSource (the targeting pod).
+// Position and size come from pipSettings (saved with the control profile): x / y place the feed
+// between the screen edges (0 = left / top, 1 = right / bottom), width is in pixels.
+
+export const pipSettings = {
+    bombEnabled: true,
+    bombX: 0,
+    bombY: 1,
+    bombWidth: 320,
+    laserEnabled: true,
+    laserX: 0.3,
+    laserY: 1,
+    laserWidth: 240,
+    mirrorEnabled: false,
+    mirrorX: 0.5,
+    mirrorY: 0.1,
+    mirrorWidth: 360,
+    targetEnabled: true,
+    targetX: 1,
+    targetY: 1,
+    targetWidth: 240,
+    podEnabled: true,
+    podX: 1,
+    podY: 0.45,
+    podWidth: 400
+};
+
+export const PIP_FEEDS = [
+    { id: 'bomb', label: 'BOMB TRACK', aspect: 4 / 3, fov: 60 },
+    { id: 'laser', label: 'LASER HIT', aspect: 4 / 3, fov: 50 },
+    { id: 'mirror', label: 'REAR', aspect: 3, fov: 50 },
+    { id: 'target', label: 'TARGET', aspect: 4 / 3, fov: 20 },
+    { id: 'pod', label: 'TGP', aspect: 4 / 3, fov: 40 }
+];
+
+const SCREEN_MARGIN = 20;      // px between a feed and the screen edge
+const COMPACT_SCALE = 0.5;     // feed size on phones and other small screens
+const TOUCH_TOP = 50;          // px, below the top buttons
+const HOLD_TIME = 2;           // sim seconds a feed stays up after its bomb / laser hit
+const BOMB_CAM_OFFSET = new THREE.Vector3(0, 0, 10);   // behind the jet, plane local
+const MIRROR_EYE = new THREE.Vector3(0, 1.2, -1.5);   // above the canopy, plane local
+const LASER_CAM_DISTANCE = 40; // back towards the shooter from the impact
+const LASER_CAM_HEIGHT = 10;
+const TARGET_FRAME = 60;       // units of the target area the zoomed target cam shows
+
+let renderer = null;
+let scene = null;
+let simClock = null;
+let getPlane = () => null;
+let getTarget = () => null;
+
+const feeds = {}; // id -> { def, camera, frame, source, active }
+let trackedBomb = null;
+let bombHideTime = null;
+let laserHit = null;           // { position, cameraPosition, until }
+
+const _target = new THREE.Vector3();
+const _size = new THREE.Vector2();
+
+/**
+ * options: simClock, getPlane(), getTarget() (the point the target cam looks at, or null)
+ */
+export function setupPip(targetRenderer, targetScene, options = {}) {
+    renderer = targetRenderer;
+    scene = targetScene;
+    simClock = options.simClock;
+    if (options.getPlane) getPlane = options.getPlane;
+    if (options.getTarget) getTarget = options.getTarget;
+
+    for (const def of PIP_FEEDS) {
+        const frame = document.createElement('div');
+        frame.className = 'pip-frame';
+        frame.style.display = 'none';
+        const label = document.createElement('div');
+        label.className = 'pip-label';
+        label.innerText = def.label;
+        frame.appendChild(label);
+        document.body.appendChild(frame);
+
+        feeds[def.id] = { def, camera: new THREE.PerspectiveCamera(def.fov, def.aspect, 0.1, 2000), frame, source: null, active: false };
+    }
+}
+
+/**
+ * Drive a feed from outside. source: update(camera, plane) points the camera and returns whether
+ * there is anything to show; optional beforeRender() / afterRender() wrap its draw (material swaps);
+ * optional overlay is a DOM element laid over the feed.
+ */
+export function setPipSource(id, source) {
+    const feed = feeds[id];
+    if (!feed) return;
+    feed.source = source;
+    if (source.overlay) feed.frame.appendChild(source.overlay);
+}
+
+// Bomb cam
+
+export function trackBomb(bomb) {
+    trackedBomb = bomb;
+    bombHideTime = null;
+}
+
+/**
+ * The bomb hit something: keep the feed on the impact for a moment, then drop it
+ */
+export function endBombTrack(bomb) {
+    if (bomb === trackedBomb && simClock) bombHideTime = simClock.time + HOLD_TIME;
+}
+
+// Laser-hit cam
+
+export function showLaserHit(position) {
+    const plane = getPlane();
+    if (!plane || !simClock) return;
+    // A fixed camera between the impact and the shooter, a little above the line of fire
+    const cameraPosition = plane.position.clone().sub(position).normalize().multiplyScalar(LASER_CAM_DISTANCE).add(position);
+    cameraPosition.y += LASER_CAM_HEIGHT;
+    laserHit = { position: position.clone(), cameraPosition, until: simClock.time + HOLD_TIME };
+}
+
+// Point each feed's camera; returns whether it has anything to show
+function updateFeed(feed, plane) {
+    const camera = feed.camera;
+    if (feed.source) return feed.source.update(camera, plane);
+    switch (feed.def.id) {
+    case 'bomb':
+        if (bombHideTime !== null && simClock.time >= bombHideTime) trackedBomb = bombHideTime = null;
+        if (!trackedBomb) return false;
+        camera.position.copy(BOMB_CAM_OFFSET).applyQuaternion(plane.quaternion).add(plane.position);
+        camera.lookAt(trackedBomb.position);
+        return true;
+
+    case 'laser':
+        if (laserHit && simClock.time >= laserHit.until) laserHit = null;
+        if (!laserHit) return false;
+        camera.position.copy(laserHit.cameraPosition);
+        camera.lookAt(laserHit.position);
+        return true;
+
+    case 'mirror':
+        // Looking back over the tail
+        camera.position.copy(MIRROR_EYE).applyMatrix4(plane.matrixWorld);
+        camera.quaternion.copy(plane.quaternion);
+        camera.rotateY(Math.PI);
+        return true;
+
+    case 'target': {
+        const target = getTarget();
+        if (!target) return false;
+        _target.copy(target);
+        camera.position.copy(plane.position);
+        camera.lookAt(_target);
+        // Zoom so the target area fills the feed whatever the range
+        const distance = Math.max(1, camera.position.distanceTo(_target));
+        camera.fov = THREE.MathUtils.clamp(THREE.MathUtils.radToDeg(2 * Math.atan(TARGET_FRAME / 2 / distance)), 1, feed.def.fov * 2);
+        camera.updateProjectionMatrix();
+        return true;
+    }
+    }
+    return false;
+}
+
+// Screen rectangle of a feed (CSS pixels from the top left)
+function feedRect(feed) {
+    const id = feed.def.id;
+    const compact = window.innerWidth <= 768 || window.innerHeight <= 500;
+    const width = Math.min(pipSettings[`${id}Width`] * (compact ? COMPACT_SCALE : 1), window.innerWidth - 2 * SCREEN_MARGIN);
+    const height = width / feed.def.aspect;
+    const left = SCREEN_MARGIN + pipSettings[`${id}X`] * Math.max(0, window.innerWidth - width - 2 * SCREEN_MARGIN);
+    // The stick and buttons own the bottom of a touch screen, so feeds line up along the top there
+    const top = document.body.classList.contains('touch-enabled')
+        ? TOUCH_TOP
+        : SCREEN_MARGIN + pipSettings[`${id}Y`] * Math.max(0, window.innerHeight - height - 2 * SCREEN_MARGIN);
+    return { left: Math.round(left), top: Math.round(top), width: Math.round(width), height: Math.round(height) };
+}
+
+/**
+ * Render-time, after the main view: draw the active feeds into their viewports.
+ * Pass hidden = true to take them all down (photo mode).
+ */
+export function renderPip(hidden = false) {
+    if (!renderer) return;
+    const plane = getPlane();
+    renderer.getSize(_size);
+
+    for (const id in feeds) {
+        const feed = feeds[id];
+        feed.active = !hidden && !!plane && pipSettings[`${id}Enabled`] && updateFeed(feed, plane);
+        feed.frame.style.display = feed.active ? 'block' : 'none';
+        if (!feed.active) continue;
+
+        const rect = feedRect(feed);
+        feed.frame.style.left = `${rect.left}px`;
+        feed.frame.style.top = `${rect.top}px`;
+        feed.frame.style.width = `${rect.width}px`;
+        feed.frame.style.height = `${rect.height}px`;
+
+        feed.camera.aspect = rect.width / rect.height;
+        feed.camera.updateProjectionMatrix();
+
+        // Viewports count from the bottom left
+        const bottom = _size.y - rect.top - rect.height;
+        renderer.setViewport(rect.left, bottom, rect.width, rect.height);
+        renderer.setScissor(rect.left, bottom, rect.width, rect.height);
+        renderer.setScissorTest(true);
+        if (feed.source && feed.source.beforeRender) feed.source.beforeRender();
+        renderer.render(scene, feed.camera);
+        if (feed.source && feed.source.afterRender) feed.source.afterRender();
+    }
+
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, _size.x, _size.y);
+}
@@ -0,0 +1,440 @@
+import * as THREE from 'three';
+import { getCameraMode, setCameraMode } from './camera.js?v=6';
+import { el, downloadBlob } from './ui.js?v=1';
+
+// Flight recorder and replay viewer.
+// Every simulation step the jet's pose and the state that drives its visuals (throttle, gear,
+// flaps, brakes, afterburner) is stored as one compact frame; weapon, target, crash and landing
+// events are stored alongside with their sim time. The replay freezes the simulation (game.js
+// stops advancing the clock), poses the jet from the recording and plays the events back through
+// the game's onEvent callback. Recordings export and import as JSON.
+// The terrain shape is deterministic, but trees and buildings are placed at random, so an imported
+// recording flies over the same hills with different scenery.
+
+const FORMAT_VERSION = 1;
+// Frame layout (also written into exported files so they are readable on their own)
+const FRAME_FIELDS = ['t', 'px', 'py', 'pz', 'qx', 'qy', 'qz', 'qw', 'throttle', 'gear', 'flaps', 'speedBrake', 'afterburner', 'engineOut', 'visible'];
+const MAX_RECORD_TIME = 15 * 60;   // seconds kept; older frames are dropped
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+const BOLT_SPEED = 800;            // replayed laser bolts, as fired (units/s)
+const BOLT_RANGE = 1000;
+const LAUNCH_TRACE_TIME = 1.5;     // s a replayed missile flies its launch line (guidance isn't recorded)
+const EVENT_LABELS = {
+    laser: 'LASER', bomb: 'BOMB', rocket: 'ROCKET', cluster: 'CLUSTER', missile: 'MISSILE', kill: 'KILL', crash: 'CRASH', landing: 'LANDING'
+};
+const UNMARKED_EVENTS = ['laser', 'rocket']; // too many to mark on the timeline
+
+const recording = { frames: [], events: [] }; // the live flight
+let simClock = null;
+let scene = null;
+let getPlane = () => null;
+let onEvent = () => {};
+
+let replay = null;                 // { frames, events } being played, null when not replaying
+let playhead = 0;                  // seconds from the start of the replay
+let playing = false;
+let speed = 1;
+let nextEvent = 0;                 // index of the first event after the playhead
+let livePose = null;               // the jet as the simulation left it
+let liveCameraMode = 'chase';
+let lastEventText = '';
+const bolts = [];                  // { mesh, velocity, dist, range }
+
+let panel = null;
+let playButton = null;
+let timeline = null;
+let timeLabel = null;
+let eventLabel = null;
+let markers = null;
+let cameraSelect = null;
+
+const replayFlight = { throttle: 0, gearPosition: 1, flapPosition: 0, speedBrakePosition: 0, afterburnerLevel: 0, flameout: false, damage: { engine: 0 } };
+const _q0 = new THREE.Quaternion();
+const _q1 = new THREE.Quaternion();
+const boltGeometry = new THREE.CylinderGeometry(0.8, 0.8, 16, 8).rotateX(Math.PI / 2);
+const boltMaterial = new THREE.MeshBasicMaterial({ color: 0xFF0000 });
+const launchGeometry = new THREE.CylinderGeometry(0.2, 0.2, 3, 6).rotateX(Math.PI / 2);
+const launchMaterials = {
+    missile: new THREE.MeshBasicMaterial({ color: 0xdddddd }),
+    rocket: new THREE.MeshBasicMaterial({ color: 0xff8833 }),
+    bomblet: new THREE.MeshBasicMaterial({ color: 0x4b5320 })
+};
+const CLUSTER_SCATTER = 8;         // units/s, replayed bomblets fan out around the canister's path
+
+/**
+ * options: simClock (event timestamps), scene (replayed laser bolts), getPlane() (the jet to pose),
+ * onEvent(event) to show replayed explosions and the like
+ */
+export function setupRecorder(options) {
+    ({ simClock, scene, getPlane } = options);
+    if (options.onEvent) onEvent = options.onEvent;
+    buildPanel();
+}
+
+const round = (v) => Math.round(v * 1000) / 1000;
+
+/**
+ * Simulation step: store the jet's state for this tick
+ */
+export function recordFrame(plane, flight) {
+    if (replay || !plane || !simClock) return;
+    const { position: p, quaternion: q } = plane;
+    recording.frames.push([
+        round(simClock.time), round(p.x), round(p.y), round(p.z), round(q.x), round(q.y), round(q.z), round(q.w),
+        round(flight.throttle), round(flight.gearPosition), round(flight.flapPosition), round(flight.speedBrakePosition),
+        round(flight.afterburnerLevel), flight.flameout || flight.damage.engine >= 1 ? 1 : 0, plane.visible ? 1 : 0
+    ]);
+
+    // Drop whatever has fallen out of the window
+    const cutoff = simClock.time - MAX_RECORD_TIME;
+    if (recording.frames[0][0] < cutoff) {
+        const dropFrames = recording.frames.findIndex(f => f[0] >= cutoff);
+        recording.frames.splice(0, dropFrames);
+        const dropEvents = recording.events.findIndex(e => e.t >= cutoff);
+        recording.events.splice(0, dropEvents < 0 ? recording.events.length : dropEvents);
+    }
+}
+
+/**
+ * Store a weapon / target / flight event at the current sim time. Vector3 data is stored as arrays.
+ */
+export function recordEvent(type, data = {}) {
+    if (replay || !simClock) return;
+    const event = { t: round(simClock.time), type };
+    for (const key in data) {
+        const value = data[key];
+        event[key] = value && value.isVector3 ? value.toArray().map(round) : value;
+    }
+    recording.events.push(event);
+}
+
+export function isReplaying() {
+    return replay !== null;
+}
+
+export function toggleReplay() {
+    if (replay) stopReplay();
+    else startReplay(recording);
+}
+
+export function toggleReplayPlayback() {
+    if (!replay) return;
+    if (!playing && playhead >= duration()) seek(0);
+    playing = !playing;
+    updatePanel();
+}
+
+function duration() {
+    const frames = replay.frames;
+    return frames[frames.length - 1][0] - frames[0][0];
+}
+
+function startReplay(source) {
+    const plane = getPlane();
+    if (!plane || source.frames.length < 2) {
+        console.warn('Nothing recorded to replay yet');
+        return;
+    }
+    // Snapshot, so the live recording can't shift underneath the timeline
+    replay = { frames: source.frames.slice(), events: source.events.slice() };
+    livePose = { position: plane.position.clone(), quaternion: plane.quaternion.clone(), visible: plane.visible };
+    liveCameraMode = getCameraMode();
+    if (liveCameraMode !== 'chase' && liveCameraMode !== 'free') setCameraMode('chase');
+    playing = true;
+    lastEventText = '';
+    seek(0);
+    renderMarkers();
+    panel.style.display = 'block';
+    updatePanel();
+}
+
+function stopReplay() {
+    const plane = getPlane();
+    replay = null;
+    playing = false;
+    if (plane && livePose) {
+        plane.position.copy(livePose.position);
+        plane.quaternion.copy(livePose.quaternion);
+        plane.visible = livePose.visible;
+        plane.updateMatrixWorld();
+    }
+    livePose = null;
+    setCameraMode(liveCameraMode);
+    clearBolts();
+    panel.style.display = 'none';
+}
+
+function seek(time) {
+    playhead = Math.max(0, Math.min(duration(), time));
+    const start = replay.frames[0][0];
+    nextEvent = replay.events.findIndex(e => e.t - start > playhead);
+    if (nextEvent < 0) nextEvent = replay.events.length;
+    clearBolts();
+}
+
+// Index of the last frame at or before sim time t
+function frameIndexAt(t) {
+    const frames = replay.frames;
+    let lo = 0;
+    let hi = frames.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (frames[mid][0] <= t) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+}
+
+function poseFromFrames(plane, t) {
+    const frames = replay.frames;
+    const i = frameIndexAt(t);
+    const a = frames[i];
+    const b = frames[Math.min(i + 1, frames.length - 1)];
+    const span = b[0] - a[0];
+    const alpha = span > 0 ? Math.min(1, Math.max(0, (t - a[0]) / span)) : 0;
+
+    plane.position.set(
+        a[1] + (b[1] - a[1]) * alpha,
+        a[2] + (b[2] - a[2]) * alpha,
+        a[3] + (b[3] - a[3]) * alpha
+    );
+    _q0.set(a[4], a[5], a[6], a[7]).normalize();
+    _q1.set(b[4], b[5], b[6], b[7]).normalize();
+    plane.quaternion.slerpQuaternions(_q0, _q1, alpha);
+    plane.visible = a[14] === 1;
+    plane.updateMatrixWorld();
+
+    replayFlight.throttle = a[8];
+    replayFlight.gearPosition = a[9];
+    replayFlight.flapPosition = a[10];
+    replayFlight.speedBrakePosition = a[11];
+    replayFlight.afterburnerLevel = a[12];
+    replayFlight.flameout = a[13] === 1;
+}
+
+/**
+ * Flight-state lookalike for the replayed frame (for the aircraft parts and engine effects)
+ */
+export function getReplayFlight() {
+    return replayFlight;
+}
+
+/**
+ * Render-time: advance the playhead, pose the jet and play the events that were passed
+ */
+export function updateReplay(plane, delta) {
+    if (!replay || !plane) return;
+
+    if (playing) {
+        playhead = Math.min(duration(), playhead + delta * speed);
+        if (playhead >= duration()) playing = false;
+    }
+    const start = replay.frames[0][0];
+
+    // Events the playhead has passed (seeking skips the ones it jumps over)
+    while (nextEvent < replay.events.length && replay.events[nextEvent].t - start <= playhead) {
+        playEvent(replay.events[nextEvent++]);
+    }
+
+    poseFromFrames(plane, start + playhead);
+    updateBolts(playing ? delta * speed : 0);
+    updatePanel();
+}
+
+function playEvent(event) {
+    if (event.type === 'laser') spawnBolt(event);
+    if (launchMaterials[event.type]) spawnLaunch(event);
+    if (event.type === 'cluster') spawnCluster(event);
+    if (EVENT_LABELS[event.type]) {
+        lastEventText = `${EVENT_LABELS[event.type]}${event.target ? `: ${event.target}` : ''}${event.points ? ` +${event.points}` : ''}`;
+    }
+    onEvent(event);
+}
+
+function spawnBolt(event) {
+    if (!scene || !event.position || !event.direction) return;
+    const mesh = new THREE.Mesh(boltGeometry, boltMaterial);
+    mesh.position.fromArray(event.position);
+    const direction = new THREE.Vector3().fromArray(event.direction).normalize();
+    mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, -1), direction);
+    scene.add(mesh);
+    bolts.push({ mesh, velocity: direction.multiplyScalar(BOLT_SPEED), dist: 0, range: BOLT_RANGE });
+}
+
+// Launches replay as a short straight streak along the recorded launch velocity
+function spawnLaunch(event) {
+    if (!scene || !event.position || !event.velocity) return;
+    const mesh = new THREE.Mesh(launchGeometry, launchMaterials[event.type]);
+    mesh.position.fromArray(event.position);
+    const velocity = new THREE.Vector3().fromArray(event.velocity);
+    const speed = velocity.length();
+    if (speed > 0) mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, -1), velocity.clone().divideScalar(speed));
+    scene.add(mesh);
+    bolts.push({ mesh, velocity, dist: 0, range: speed * LAUNCH_TRACE_TIME });
+}
+
+// An opening cluster bomb: its bomblets streak out around the canister's velocity
+function spawnCluster(event) {
+    if (!event.velocity) return;
+    const count = event.count || 12;
+    for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2;
+        const velocity = new THREE.Vector3().fromArray(event.velocity);
+        velocity.x += Math.cos(angle) * CLUSTER_SCATTER;
+        velocity.z += Math.sin(angle) * CLUSTER_SCATTER;
+        spawnLaunch({ type: 'bomblet', position: event.position, velocity: velocity.toArray() });
+    }
+}
+
+function updateBolts(delta) {
+    for (let i = bolts.length - 1; i >= 0; i--) {
+        const bolt = bolts[i];
+        bolt.mesh.position.addScaledVector(bolt.velocity, delta);
+        bolt.dist += bolt.velocity.length() * delta;
+        if (bolt.dist >= bolt.range) {
+            scene.remove(bolt.mesh);
+            bolts.splice(i, 1);
+        }
+    }
+}
+
+function clearBolts() {
+    for (const bolt of bolts) scene.remove(bolt.mesh);
+    bolts.length = 0;
+}
+
+// Export / import
+
+export function exportRecording() {
+    const source = replay || recording;
+    if (source.frames.length === 0) return;
+    const data = { version: FORMAT_VERSION, step: simClock ? simClock.step : null, fields: FRAME_FIELDS, frames: source.frames, events: source.events };
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    downloadBlob(blob, `f16-flight-${Date.now()}.json`);
+}
+
+/**
+ * Parse an exported recording. Throws on files that aren't one.
+ */
+export function parseRecording(text) {
+    const data = JSON.parse(text);
+    if (!data || data.version !== FORMAT_VERSION || !Array.isArray(data.frames) || !Array.isArray(data.events)) {
+        throw new Error('Not a flight recording (or from an incompatible version)');
+    }
+    const frames = data.frames.filter(f => Array.isArray(f) && f.length === FRAME_FIELDS.length && f.every(Number.isFinite));
+    if (frames.length < 2) throw new Error('Recording has no usable frames');
+    const events = data.events.filter(e => e && typeof e.type === 'string' && Number.isFinite(e.t));
+    return { frames, events };
+}
+
+function importRecording(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const imported = parseRecording(reader.result);
+            if (replay) stopReplay();
+            startReplay(imported);
+        } catch (err) {
+            console.warn('Could not import the recording', err);
+            alert(`Could not import the recording: ${err.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+// Replay panel
+
+function formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = seconds - m * 60;
+    return `${m}:${s.toFixed(1).padStart(4, '0')}`;
+}
+
+function buildPanel() {
+    panel = el('div', 'hud-box');
+    panel.id = 'replay-panel';
+    panel.style.display = 'none';
+
+    const title = el('div', 'grid-title', 'REPLAY');
+    const track = el('div', 'replay-track');
+    timeline = el('input', 'replay-timeline');
+    timeline.type = 'range';
+    timeline.min = 0;
+    timeline.step = 0.01;
+    timeline.addEventListener('input', () => {
+        if (!replay) return;
+        seek(Number(timeline.value));
+    });
+    markers = el('div', 'replay-markers');
+    track.append(timeline, markers);
+
+    const row = el('div', 'settings-row');
+    playButton = el('button', 'settings-button', 'PAUSE');
+    playButton.addEventListener('click', toggleReplayPlayback);
+    timeLabel = el('span', 'settings-value', '0:00.0');
+
+    const speedSelect = el('select', 'settings-input');
+    for (const s of SPEEDS) {
+        const opt = el('option', '', `x${s}`);
+        opt.value = s;
+        opt.selected = s === speed;
+        speedSelect.appendChild(opt);
+    }
+    speedSelect.addEventListener('change', () => {
+        speed = Number(speedSelect.value);
+    });
+
+    cameraSelect = el('select', 'settings-input');
+    for (const mode of ['chase', 'free']) {
+        const opt = el('option', '', mode.toUpperCase());
+        opt.value = mode;
+        cameraSelect.appendChild(opt);
+    }
+    cameraSelect.addEventListener('change', () => setCameraMode(cameraSelect.value));
+
+    const exportButton = el('button', 'settings-button', 'EXPORT');
+    exportButton.addEventListener('click', exportRecording);
+
+    const fileInput = el('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) importRecording(fileInput.files[0]);
+        fileInput.value = '';
+    });
+    const importButton = el('button', 'settings-button', 'IMPORT');
+    importButton.addEventListener('click', () => fileInput.click());
+
+    const exitButton = el('button', 'settings-button', 'EXIT');
+    exitButton.addEventListener('click', stopReplay);
+
+    row.append(playButton, timeLabel, speedSelect, cameraSelect, exportButton, importButton, exitButton, fileInput);
+    eventLabel = el('div', 'settings-hint', '');
+    panel.append(title, track, row, eventLabel);
+    document.body.appendChild(panel);
+}
+
+function renderMarkers() {
+    markers.innerHTML = '';
+    const start = replay.frames[0][0];
+    const length = duration();
+    for (const event of replay.events) {
+        if (!EVENT_LABELS[event.type] || UNMARKED_EVENTS.includes(event.type)) continue;
+        const marker = el('span', `replay-marker ${event.type}`);
+        marker.style.left = `${((event.t - start) / length) * 100}%`;
+        marker.title = EVENT_LABELS[event.type];
+        markers.appendChild(marker);
+    }
+}
+
+function updatePanel() {
+    if (!replay || !panel) return;
+    const length = duration();
+    timeline.max = length;
+    if (document.activeElement !== timeline) timeline.value = playhead;
+    timeLabel.innerText = `${formatTime(playhead)} / ${formatTime(length)}`;
+    playButton.innerText = playing ? 'PAUSE' : 'PLAY';
+    if (document.activeElement !== cameraSelect) cameraSelect.value = getCameraMode() === 'free' ? 'free' : 'chase';
+    eventLabel.innerText = lastEventText;
+}
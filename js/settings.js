@@ -0,0 +1,210 @@
+import {
+    ACTIONS, CONTROL_GRID_ROWS, DEFAULT_PROFILE,
+    getBinding, setBinding, codeLabel, captureNextInput, onBindingsChanged,
+    listProfiles, getActiveProfileName, setActiveProfile, saveProfileAs, deleteProfile, resetActiveProfile,
+    getOptions, setOption
+} from './bindings.js?v=14';
+import { PIP_FEEDS } from './pip.js?v=2';
+import { el } from './ui.js?v=1';
+
+// Controls settings overlay (binding editor + profiles) and the generated CONTROLS grid
+
+const PIP_FEED_NAMES = { bomb: 'Bomb cam', laser: 'Laser-hit cam', mirror: 'Rear-view mirror', target: 'Target cam', pod: 'Targeting pod' };
+
+let overlay = null;
+let callbacks = { onOpen: () => {}, onClose: () => {} };
+
+/**
+ * Build the overlay and keep the CONTROLS grid in sync with the active bindings.
+ * onOpen/onClose let the game pause while the menu is up.
+ */
+export function setupSettings(options = {}) {
+    callbacks = Object.assign(callbacks, options);
+
+    overlay = document.createElement('div');
+    overlay.id = 'settings-overlay';
+    overlay.className = 'hud-box';
+    overlay.style.display = 'none';
+    document.body.appendChild(overlay);
+
+    const btn = document.getElementById('settings-btn');
+    if (btn) btn.addEventListener('click', toggleSettings);
+
+    onBindingsChanged(() => {
+        renderControlsGrid();
+        if (isSettingsOpen()) renderOverlay();
+    });
+    renderControlsGrid();
+}
+
+export function isSettingsOpen() {
+    return !!overlay && overlay.style.display !== 'none';
+}
+
+export function toggleSettings() {
+    if (!overlay) return;
+    if (isSettingsOpen()) {
+        overlay.style.display = 'none';
+        captureNextInput(null);
+        callbacks.onClose();
+    } else {
+        renderOverlay();
+        overlay.style.display = 'block';
+        callbacks.onOpen();
+    }
+}
+
+function bindingText(actionIds) {
+    return actionIds.map(id => codeLabel(getBinding(id)[0])).join(' / ');
+}
+
+/**
+ * Regenerate the CONTROLS box from the active bindings
+ */
+export function renderControlsGrid() {
+    const grid = document.querySelector('#controls-box .control-grid');
+    if (!grid) return;
+
+    grid.innerHTML = '';
+    for (const row of CONTROL_GRID_ROWS) {
+        const label = document.createElement('div');
+        label.innerText = row.label;
+        const value = document.createElement('div');
+        value.innerText = row.text || bindingText(row.actions);
+        grid.appendChild(label);
+        grid.appendChild(value);
+    }
+}
+
+// Options with min/max become sliders, the rest checkboxes
+function addOptionSection(title, section, fields) {
+    overlay.appendChild(el('div', 'grid-title settings-section', title));
+    const options = getOptions(section);
+    const grid = el('div', 'settings-bindings');
+
+    for (const field of fields) {
+        grid.appendChild(el('div', 'settings-label', field.label));
+        const input = el('input', field.min !== undefined ? 'settings-input' : '');
+
+        if (field.min !== undefined) {
+            const digits = field.digits || 2;
+            input.type = 'range';
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.step;
+            input.value = options[field.name];
+            const value = el('span', 'settings-value', Number(options[field.name]).toFixed(digits));
+            input.addEventListener('input', () => {
+                value.innerText = Number(input.value).toFixed(digits);
+            });
+            input.addEventListener('change', () => setOption(section, field.name, Number(input.value)));
+            grid.append(input, value);
+        } else {
+            input.type = 'checkbox';
+            input.checked = !!options[field.name];
+            input.addEventListener('change', () => setOption(section, field.name, input.checked));
+            grid.append(input, el('span'));
+        }
+    }
+    overlay.appendChild(grid);
+}
+
+function renderOverlay() {
+    overlay.innerHTML = '';
+    overlay.appendChild(el('div', 'grid-title', 'CONTROLS'));
+
+    // Profiles
+    const profileRow = el('div', 'settings-row');
+    const select = el('select', 'settings-input');
+    for (const name of listProfiles()) {
+        const opt = el('option', '', name);
+        opt.value = name;
+        opt.selected = name === getActiveProfileName();
+        select.appendChild(opt);
+    }
+    select.addEventListener('change', () => setActiveProfile(select.value));
+
+    const saveAs = el('button', 'settings-button', 'SAVE AS');
+    saveAs.addEventListener('click', () => {
+        const name = prompt('Profile name', '');
+        if (name) saveProfileAs(name);
+    });
+
+    const del = el('button', 'settings-button', 'DELETE');
+    del.disabled = getActiveProfileName() === DEFAULT_PROFILE;
+    del.addEventListener('click', () => deleteProfile(getActiveProfileName()));
+
+    const reset = el('button', 'settings-button', 'RESET');
+    reset.addEventListener('click', () => resetActiveProfile());
+
+    profileRow.append(el('span', 'settings-label', 'PROFILE'), select, saveAs, del, reset);
+    overlay.appendChild(profileRow);
+
+    // Key bindings: two slots per action, click to rebind
+    const table = el('div', 'settings-bindings');
+    for (const action of ACTIONS) {
+        table.appendChild(el('div', 'settings-label', action.label));
+        const codes = getBinding(action.id);
+        for (let slot = 0; slot < 2; slot++) {
+            const slotBtn = el('button', 'settings-button settings-slot', codeLabel(codes[slot]));
+            slotBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                slotBtn.innerText = 'PRESS…';
+                slotBtn.classList.add('capturing');
+                // Wait a tick so this click's own mouseup doesn't get captured
+                setTimeout(() => captureNextInput((code) => {
+                    if (code) setBinding(action.id, slot, code);
+                    else renderOverlay();
+                }), 0);
+            });
+            slotBtn.addEventListener('contextmenu', (e) => {
+                // Right-click clears the slot
+                e.preventDefault();
+                setBinding(action.id, slot, null);
+            });
+            table.appendChild(slotBtn);
+        }
+    }
+    overlay.appendChild(table);
+
+    // Gamepad tuning
+    addOptionSection('GAMEPAD', 'gamepad', [
+        { name: 'deadzone', label: 'Deadzone', min: 0, max: 0.5, step: 0.01 },
+        { name: 'expo', label: 'Response curve', min: 0, max: 1, step: 0.05 },
+        { name: 'invertPitch', label: 'Invert pitch' },
+        { name: 'invertRoll', label: 'Invert roll' },
+        { name: 'invertYaw', label: 'Invert yaw' },
+        { name: 'invertThrottle', label: 'Invert throttle' }
+    ]);
+
+    // Mouse aim
+    addOptionSection('MOUSE AIM', 'mouseAim', [
+        { name: 'enabled', label: 'Enabled' },
+        { name: 'sensitivity', label: 'Sensitivity', min: 0.0005, max: 0.005, step: 0.0005, digits: 4 }
+    ]);
+
+    // Touch
+    addOptionSection('TOUCH', 'touch', [
+        { name: 'tilt', label: 'Tilt steering' },
+        { name: 'tiltRange', label: 'Tilt range (deg)', min: 10, max: 60, step: 5, digits: 0 }
+    ]);
+
+    // Picture-in-picture feeds: X / Y run from the left / top edge to the right / bottom one
+    const pipFields = [];
+    for (const feed of PIP_FEEDS) {
+        const name = PIP_FEED_NAMES[feed.id];
+        pipFields.push(
+            { name: `${feed.id}Enabled`, label: name },
+            { name: `${feed.id}X`, label: `${name} X`, min: 0, max: 1, step: 0.05 },
+            { name: `${feed.id}Y`, label: `${name} Y`, min: 0, max: 1, step: 0.05 },
+            { name: `${feed.id}Width`, label: `${name} width (px)`, min: 120, max: 480, step: 10, digits: 0 }
+        );
+    }
+    addOptionSection('PICTURE IN PICTURE', 'pip', pipFields);
+
+    overlay.appendChild(el('div', 'settings-hint', 'Click a slot and press a key or mouse button. Right-click clears. ESC cancels.'));
+
+    const close = el('button', 'settings-button settings-close', 'CLOSE');
+    close.addEventListener('click', toggleSettings);
+    overlay.appendChild(close);
+}
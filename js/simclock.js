@@ -0,0 +1,66 @@
+// Fixed-step simulation clock.
+// Real frame time is fed in with advance(); it is scaled, accumulated and drained in whole
+// steps of `step` seconds so physics and hit detection never depend on the frame rate.
+// Whatever is left over (alpha) is used to interpolate rendering between the last two steps.
+
+const TIME_SCALES = [0.1, 0.25, 0.5, 1, 2];
+const MAX_FRAME_TIME = 0.25; // ignore long stalls (tab switches, breakpoints)
+
+export class SimClock {
+    constructor(step = 1 / 60, maxStepsPerFrame = 5) {
+        this.step = step;
+        this.maxStepsPerFrame = maxStepsPerFrame;
+        this.accumulator = 0;
+        this.time = 0;      // simulated seconds since start
+        this.tick = 0;      // simulated steps since start
+        this.paused = false;
+        this.timeScaleIndex = TIME_SCALES.indexOf(1);
+    }
+
+    get timeScale() {
+        return TIME_SCALES[this.timeScaleIndex];
+    }
+
+    // Fraction of a step left in the accumulator (0..1), for render interpolation
+    get alpha() {
+        return this.accumulator / this.step;
+    }
+
+    /**
+     * Feed real elapsed time and run as many fixed steps as it covers.
+     * stepFn(step) is called once per step, with `time` and `tick` already advanced.
+     * Returns the number of steps taken.
+     */
+    advance(realDelta, stepFn) {
+        if (this.paused) return 0;
+
+        this.accumulator += Math.min(realDelta, MAX_FRAME_TIME) * this.timeScale;
+
+        let steps = Math.floor(this.accumulator / this.step);
+        if (steps > this.maxStepsPerFrame) {
+            // Too far behind: drop the backlog instead of spiralling
+            steps = this.maxStepsPerFrame;
+            this.accumulator = this.step * steps;
+        }
+
+        for (let i = 0; i < steps; i++) {
+            this.accumulator -= this.step;
+            this.time += this.step;
+            this.tick++;
+            stepFn(this.step);
+        }
+        return steps;
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    slower() {
+        this.timeScaleIndex = Math.max(0, this.timeScaleIndex - 1);
+    }
+
+    faster() {
+        this.timeScaleIndex = Math.min(TIME_SCALES.length - 1, this.timeScaleIndex + 1);
+    }
+}
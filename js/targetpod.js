@@ -0,0 +1,247 @@
+import * as THREE from 'three';
+import { getHeight } from './terrain.js?v=36';
+import { isActionHeld } from './bindings.js?v=14';
+import { setPipSource } from './pip.js?v=2';
+
+// Targeting pod.
+// A camera under the jet's belly shown in its own PiP feed. It looks at a ground point rather than
+// along a fixed axis, so the view stays on that spot while the jet manoeuvres. Moving the mouse with
+// the slew button held (right mouse) moves the point, the wheel zooms, and designating marks the
+// point under the crosshair for bomb aiming (game.js releases on it).
+// Besides the TV picture there are two thermal modes, white-hot and black-hot, which draw heat
+// instead of colour: trees, buildings, the jet and explosions glow against cool ground.
+
+export const POD_MODES = ['tv', 'whiteHot', 'blackHot'];
+const MODE_LABELS = { tv: 'TV', whiteHot: 'WHOT', blackHot: 'BHOT' };
+
+const POD_MOUNT = new THREE.Vector3(0, -1.5, -2); // plane local, under the intake
+const BASE_FOV = 40;            // degrees at 1x
+const MAX_ZOOM = 32;
+const SLEW_RATE = 0.002;        // radians per pixel at 1x, finer as it zooms
+const MAX_RANGE = 3000;         // furthest ground point the pod will track
+const MARCH_STEP = 10;          // ray march along the line of sight, then bisect
+const INITIAL_DEPRESSION = 0.5; // radians below the horizon when the pod first looks ahead
+const MAX_ELEVATION = 0.35;     // radians above the horizon (up a mountainside)
+const MAX_DEPRESSION = 1.55;    // just short of straight down
+const AMBIENT_HEAT = 0.2;       // ground and anything without a heat signature
+const HEAT_LEVELS = 16;         // thermal materials are shared per quantised heat level
+const THERMAL_SKY = { whiteHot: new THREE.Color(0, 0, 0), blackHot: new THREE.Color(0.7, 0.7, 0.7) };
+
+let scene = null;
+let getPlane = () => null;
+let collectHeat = () => {};
+
+let active = false;
+let mode = 'tv';
+let zoom = 1;
+let lookPoint = null;           // stabilised ground point (world)
+let designation = null;         // designated point (world), or null
+
+let overlay = null;
+let readout = null;
+let marker = null;
+
+const thermalMaterials = new Map(); // `${mode}:${level}` -> material
+const heat = new Map();             // Object3D -> heat (0..1), inherited by its children
+const swapped = [];                 // [mesh, material, mesh, material, ...] to restore
+const hidden = [];                  // sprites / points / lines left out of thermal frames
+let savedBackground = null;
+let savedFog = null;
+
+const _mount = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _point = new THREE.Vector3();
+
+/**
+ * options: getPlane(), collectHeat(map) fills map with Object3D -> heat (0..1) for thermal frames
+ */
+export function setupTargetPod(targetScene, options = {}) {
+    scene = targetScene;
+    if (options.getPlane) getPlane = options.getPlane;
+    if (options.collectHeat) collectHeat = options.collectHeat;
+
+    overlay = document.createElement('div');
+    overlay.className = 'pod-overlay';
+    overlay.innerHTML = '<div class="pod-crosshair"></div><div class="pod-marker"></div><div class="pod-readout"></div>';
+    readout = overlay.querySelector('.pod-readout');
+    marker = overlay.querySelector('.pod-marker');
+
+    setPipSource('pod', { update: updatePodCamera, beforeRender, afterRender, overlay });
+}
+
+export function isPodActive() {
+    return active;
+}
+
+export function toggleTargetPod() {
+    active = !active;
+}
+
+export function cyclePodMode() {
+    mode = POD_MODES[(POD_MODES.indexOf(mode) + 1) % POD_MODES.length];
+}
+
+/**
+ * With the pod open: designate the point under the crosshair. With it closed: drop the designation.
+ */
+export function designateTarget() {
+    designation = active && lookPoint ? lookPoint.clone() : null;
+}
+
+export function getDesignation() {
+    return designation;
+}
+
+/**
+ * After a respawn: nothing designated, and the pod looks ahead again when next opened
+ */
+export function resetTargetPod() {
+    designation = null;
+    lookPoint = null;
+}
+
+function podPosition(plane) {
+    return _mount.copy(POD_MOUNT).applyMatrix4(plane.matrixWorld);
+}
+
+// Where the line of sight from origin meets the terrain (or the range limit)
+function groundPoint(origin, direction, target) {
+    let prev = 0;
+    for (let t = MARCH_STEP; t <= MAX_RANGE; t += MARCH_STEP) {
+        target.copy(origin).addScaledVector(direction, t);
+        if (target.y > getHeight(target.x, target.z)) {
+            prev = t;
+            continue;
+        }
+        let lo = prev, hi = t;
+        for (let i = 0; i < 10; i++) {
+            const mid = (lo + hi) / 2;
+            target.copy(origin).addScaledVector(direction, mid);
+            if (target.y > getHeight(target.x, target.z)) lo = mid;
+            else hi = mid;
+        }
+        return target.copy(origin).addScaledVector(direction, hi);
+    }
+    return target.copy(origin).addScaledVector(direction, MAX_RANGE);
+}
+
+function lookAlong(plane, yaw, pitch) {
+    pitch = THREE.MathUtils.clamp(pitch, -MAX_DEPRESSION, MAX_ELEVATION);
+    _dir.set(Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), Math.cos(yaw) * Math.cos(pitch));
+    lookPoint = groundPoint(podPosition(plane), _dir, lookPoint || new THREE.Vector3());
+}
+
+// Ahead of the jet along its heading, looking down a little
+function lookAhead(plane) {
+    _dir.set(0, 0, -1).applyQuaternion(plane.quaternion);
+    lookAlong(plane, Math.atan2(_dir.x, _dir.z), -INITIAL_DEPRESSION);
+}
+
+function slew(dx, dy) {
+    const plane = getPlane();
+    if (!plane) return;
+    if (!lookPoint) lookAhead(plane);
+    _dir.copy(lookPoint).sub(podPosition(plane));
+    const yaw = Math.atan2(_dir.x, _dir.z) - dx * SLEW_RATE / zoom;
+    const pitch = Math.atan2(_dir.y, Math.hypot(_dir.x, _dir.z)) - dy * SLEW_RATE / zoom;
+    lookAlong(plane, yaw, pitch);
+}
+
+// PiP source: from under the jet towards the stabilised point
+function updatePodCamera(camera, plane) {
+    if (!active) return false;
+    if (!lookPoint) lookAhead(plane);
+
+    camera.position.copy(podPosition(plane));
+    camera.lookAt(lookPoint);
+    camera.fov = BASE_FOV / zoom;
+    camera.far = MAX_RANGE * 1.5;
+    camera.updateMatrixWorld();
+    camera.updateProjectionMatrix();
+
+    // Diamond over the designated point while it is in the picture
+    let showMarker = false;
+    if (designation) {
+        _point.copy(designation).project(camera);
+        showMarker = _point.z < 1 && Math.abs(_point.x) < 1 && Math.abs(_point.y) < 1;
+        if (showMarker) {
+            marker.style.left = `${(_point.x + 1) * 50}%`;
+            marker.style.top = `${(1 - _point.y) * 50}%`;
+        }
+    }
+    marker.style.display = showMarker ? 'block' : 'none';
+
+    const range = camera.position.distanceTo(lookPoint);
+    readout.innerText = `${MODE_LABELS[mode]}  ${zoom}x  RNG ${(range / 1000).toFixed(2)}${designation ? '  DESIG' : ''}`;
+    return true;
+}
+
+function thermalMaterial(level) {
+    const key = `${mode}:${level}`;
+    let material = thermalMaterials.get(key);
+    if (!material) {
+        const h = level / HEAT_LEVELS;
+        // White-hot: heat glows on dim, lit ground. Black-hot: the reverse, hot is dark.
+        material = mode === 'whiteHot'
+            ? new THREE.MeshLambertMaterial({ color: new THREE.Color(0.15, 0.15, 0.15), emissive: new THREE.Color(h, h, h) })
+            : new THREE.MeshLambertMaterial({ color: new THREE.Color().setScalar((1 - h) * 0.7) });
+        thermalMaterials.set(key, material);
+    }
+    return material;
+}
+
+function applyThermal(object, inherited) {
+    if (!object.visible) return;
+    const h = heat.has(object) ? heat.get(object) : inherited;
+    if (object.isMesh) {
+        swapped.push(object, object.material);
+        object.material = thermalMaterial(Math.round(THREE.MathUtils.clamp(h, 0, 1) * HEAT_LEVELS));
+    } else if (object.isSprite || object.isPoints || object.isLine) {
+        hidden.push(object);
+        object.visible = false;
+    }
+    for (const child of object.children) applyThermal(child, h);
+}
+
+// The pod sees through the haze; thermal frames swap every mesh to its heat level for the draw
+function beforeRender() {
+    savedFog = scene.fog;
+    scene.fog = null;
+    if (mode === 'tv') return;
+
+    heat.clear();
+    collectHeat(heat);
+    savedBackground = scene.background;
+    scene.background = THERMAL_SKY[mode];
+    applyThermal(scene, AMBIENT_HEAT);
+}
+
+function afterRender() {
+    scene.fog = savedFog;
+    if (mode === 'tv') return;
+
+    for (let i = 0; i < swapped.length; i += 2) swapped[i].material = swapped[i + 1];
+    swapped.length = 0;
+    for (const object of hidden) object.visible = true;
+    hidden.length = 0;
+    scene.background = savedBackground;
+}
+
+// Slewing takes the mouse from mouse aim and the view camera (they listen further down, on document)
+window.addEventListener('mousemove', (e) => {
+    if (!active || !isActionHeld('podSlew')) return;
+    slew(e.movementX, e.movementY);
+    e.stopImmediatePropagation();
+}, true);
+
+window.addEventListener('wheel', (e) => {
+    if (!active || e.deltaY === 0) return;
+    if (e.target && e.target.closest && e.target.closest('#settings-overlay, #loadout-panel')) return;
+    zoom = THREE.MathUtils.clamp(e.deltaY < 0 ? zoom * 2 : zoom / 2, 1, MAX_ZOOM);
+    e.stopImmediatePropagation();
+}, true);
+
+// The right mouse button slews instead of opening the browser menu
+window.addEventListener('contextmenu', (e) => {
+    if (active) e.preventDefault();
+});
@@ -13,6 +13,15 @@ export function getHeight(x, z) {
     return Math.sin(x * 0.05) * Math.cos(z * 0.05) * 5 + Math.sin(x * 0.01) * 5 + 4;
 }
 
+/**
+ * Ground type for a terrain height: 'rock' on the high ground, 'sand' in the low-lying areas, 'grass' between
+ */
+export function getSurfaceType(h) {
+    if (h > 8) return 'rock';
+    if (h < 0) return 'sand';
+    return 'grass';
+}
+
 export class TerrainManager {
     constructor(scene, treeModel, runwayTexture, roundTreeModel, buildingModels = [], palmTreeModel = null, mushroomTreeModel = null, baobabTreeModel = null, lowpolyTreeModel = null, cityBuildingModel = null, aiBuildings = []) {
         this.scene = scene;
@@ -34,6 +43,7 @@ export class TerrainManager {
         this.activeBuildings = [];
         this.globalRunways = [];
         this.globalMountains = [];
+        this.movingTargets = []; // anything that moves on its own and can be locked / shot (vehicles, ...)
     }
 
     update(pos) {
@@ -120,6 +130,18 @@ export class TerrainManager {
     getBuildings() {
         return this.activeBuildings;
     }
+
+    getMovingTargets() {
+        return this.movingTargets;
+    }
+
+    registerMovingTarget(target) {
+        this.movingTargets.push(target);
+    }
+
+    unregisterMovingTarget(target) {
+        this.movingTargets = this.movingTargets.filter(t => t !== target);
+    }
     
     unregisterTree(tree) {
         this.activeTrees = this.activeTrees.filter(t => t !== tree);
@@ -140,6 +162,7 @@ export class TerrainManager {
     }
 
     registerBuilding(building) {
+        building.userData.isBuilding = true; // lets callers tell a building apart without a list lookup
         this.activeBuildings.push(building);
     }
 
@@ -232,9 +255,10 @@ class Chunk {
             color.setHex(0x3b7d3b); // Green
             const noise = Math.random() * 0.2 - 0.1;
 
-            if (h > 8) {
+            const surface = getSurfaceType(h);
+            if (surface === 'rock') {
                 color.setHex(0x5a5a5a); // Rock
-            } else if (h < 0) {
+            } else if (surface === 'sand') {
                 color.setHex(0xc2b280); // Sand
             } else {
                 color.r = Math.max(0, Math.min(1, color.r + noise));
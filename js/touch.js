@@ -0,0 +1,248 @@
+// Touch controls for phones and tablets.
+// Left: virtual stick (pitch/roll). Right: throttle slider plus FIRE, weapon release and station buttons.
+// Device tilt can optionally steer instead of the stick (the stick still wins while touched).
+// Only built on touch-capable devices; controls.js mixes touchState in like gamepadState.
+
+export const touchSettings = {
+    tilt: false,
+    tiltRange: 30 // degrees of tilt for full deflection
+};
+
+export const touchState = {
+    active: false,
+    pitch: 0,        // -1..1, positive = nose up
+    roll: 0,         // -1..1, positive = bank left
+    throttle: null   // 0..1 after the slider moved, cleared once applied
+};
+
+const STICK_DEADZONE = 0.08;
+const TILT_DEADZONE = 3; // degrees
+
+let container = null;
+let stickBase = null;
+let stickKnob = null;
+let throttleTrack = null;
+let throttleFill = null;
+let tiltButton = null;
+
+let stickTouchId = null;
+let throttleTouchId = null;
+let stickPitch = 0;
+let stickRoll = 0;
+let tiltPitch = 0;
+let tiltRoll = 0;
+let tiltNeutral = null; // { pitch, roll } in degrees, captured when tilt is switched on
+let tiltListening = false;
+
+export function isTouchDevice() {
+    return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+}
+
+function el(tag, id, text) {
+    const node = document.createElement(tag);
+    if (id) node.id = id;
+    if (text) node.innerText = text;
+    return node;
+}
+
+function findTouch(list, id) {
+    for (let i = 0; i < list.length; i++) {
+        if (list[i].identifier === id) return list[i];
+    }
+    return null;
+}
+
+function applyDeadzone(v, dz) {
+    if (Math.abs(v) < dz) return 0;
+    return Math.sign(v) * (Math.abs(v) - dz) / (1 - dz);
+}
+
+function updateCombined() {
+    // Stick overrides tilt while a finger is on it
+    if (stickTouchId !== null || !touchSettings.tilt) {
+        touchState.pitch = stickPitch;
+        touchState.roll = stickRoll;
+    } else {
+        touchState.pitch = tiltPitch;
+        touchState.roll = tiltRoll;
+    }
+}
+
+// --- Virtual stick ---
+
+function moveStick(touch) {
+    const rect = stickBase.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let dx = touch.clientX - (rect.left + radius);
+    let dy = touch.clientY - (rect.top + radius);
+    const dist = Math.hypot(dx, dy);
+    if (dist > radius) {
+        dx *= radius / dist;
+        dy *= radius / dist;
+    }
+    stickKnob.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
+
+    // Drag down = pull back = nose up, drag right = bank right
+    stickPitch = applyDeadzone(dy / radius, STICK_DEADZONE);
+    stickRoll = applyDeadzone(-dx / radius, STICK_DEADZONE);
+    updateCombined();
+}
+
+function releaseStick() {
+    stickTouchId = null;
+    stickPitch = 0;
+    stickRoll = 0;
+    stickKnob.style.transform = 'translate(-50%, -50%)';
+    updateCombined();
+}
+
+// --- Throttle slider ---
+
+function moveThrottle(touch) {
+    const rect = throttleTrack.getBoundingClientRect();
+    const value = 1 - (touch.clientY - rect.top) / rect.height;
+    touchState.throttle = Math.min(1, Math.max(0, value));
+}
+
+// --- Tilt ---
+
+function readTilt(e) {
+    if (e.beta === null || e.gamma === null) return null;
+
+    // Map beta/gamma onto pitch/roll for the current screen orientation
+    const angle = (screen.orientation && screen.orientation.angle) || window.orientation || 0;
+    if (angle === 90) return { pitch: -e.gamma, roll: e.beta };
+    if (angle === -90 || angle === 270) return { pitch: e.gamma, roll: -e.beta };
+    return { pitch: e.beta, roll: e.gamma };
+}
+
+function onDeviceOrientation(e) {
+    if (!touchSettings.tilt) return;
+    const tilt = readTilt(e);
+    if (!tilt) return;
+    if (!tiltNeutral) tiltNeutral = tilt;
+
+    const range = touchSettings.tiltRange;
+    const dp = tilt.pitch - tiltNeutral.pitch;
+    const dr = tilt.roll - tiltNeutral.roll;
+    // Top edge towards you = nose up, tilt right = bank right
+    tiltPitch = Math.max(-1, Math.min(1, Math.abs(dp) < TILT_DEADZONE ? 0 : dp / range));
+    tiltRoll = Math.max(-1, Math.min(1, Math.abs(dr) < TILT_DEADZONE ? 0 : -dr / range));
+    updateCombined();
+}
+
+function startTilt() {
+    tiltNeutral = null; // recalibrate on the next reading
+    if (tiltListening) return;
+
+    const listen = () => {
+        window.addEventListener('deviceorientation', onDeviceOrientation);
+        tiltListening = true;
+    };
+
+    // iOS asks for permission, and only from inside a user gesture
+    if (window.DeviceOrientationEvent && typeof DeviceOrientationEvent.requestPermission === 'function') {
+        DeviceOrientationEvent.requestPermission().then((result) => {
+            if (result === 'granted') listen();
+            else console.warn('Tilt steering: motion permission denied');
+        }).catch(err => console.warn('Tilt steering unavailable', err));
+    } else {
+        listen();
+    }
+}
+
+/**
+ * Re-sync with touchSettings (e.g. after a profile change)
+ */
+export function applyTouchSettings() {
+    if (!container) return;
+    if (touchSettings.tilt) startTilt();
+    tiltPitch = 0;
+    tiltRoll = 0;
+    tiltButton.classList.toggle('active', touchSettings.tilt);
+    updateCombined();
+}
+
+/**
+ * Build the on-screen controls. Callbacks: onFire, onBomb, onTiltToggle(enabled)
+ */
+export function setupTouchControls(callbacks = {}) {
+    if (!isTouchDevice()) return;
+
+    document.body.classList.add('touch-enabled');
+    touchState.active = true;
+
+    container = el('div', 'touch-controls');
+    stickBase = el('div', 'touch-stick');
+    stickKnob = el('div', 'touch-stick-knob');
+    stickBase.appendChild(stickKnob);
+
+    throttleTrack = el('div', 'touch-throttle');
+    throttleFill = el('div', 'touch-throttle-fill');
+    throttleTrack.appendChild(throttleFill);
+
+    const fireButton = el('button', 'touch-fire', 'FIRE');
+    const bombButton = el('button', 'touch-bomb', 'WPN');
+    const stationButton = el('button', 'touch-station', 'STA');
+    tiltButton = el('button', 'touch-tilt', 'TILT');
+
+    container.append(stickBase, throttleTrack, fireButton, bombButton, stationButton, tiltButton);
+    document.body.appendChild(container);
+
+    stickBase.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        const t = e.changedTouches[0];
+        stickTouchId = t.identifier;
+        moveStick(t);
+    }, { passive: false });
+
+    throttleTrack.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        const t = e.changedTouches[0];
+        throttleTouchId = t.identifier;
+        moveThrottle(t);
+    }, { passive: false });
+
+    // Buttons react on touchstart; preventDefault stops the emulated mouse click (which would fire lasers)
+    const press = (button, fn) => {
+        button.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            button.classList.add('pressed');
+            if (fn) fn();
+        }, { passive: false });
+        button.addEventListener('touchend', () => button.classList.remove('pressed'));
+    };
+    press(fireButton, callbacks.onFire);
+    press(bombButton, callbacks.onBomb);
+    press(stationButton, callbacks.onWeaponNext);
+    press(tiltButton, () => {
+        // Permission has to be requested from this gesture on iOS
+        if (!touchSettings.tilt) startTilt();
+        if (callbacks.onTiltToggle) callbacks.onTiltToggle(!touchSettings.tilt);
+    });
+
+    window.addEventListener('touchmove', (e) => {
+        const stickTouch = stickTouchId !== null && findTouch(e.changedTouches, stickTouchId);
+        const throttleTouch = throttleTouchId !== null && findTouch(e.changedTouches, throttleTouchId);
+        if (stickTouch) moveStick(stickTouch);
+        if (throttleTouch) moveThrottle(throttleTouch);
+        if (stickTouch || throttleTouch) e.preventDefault();
+    }, { passive: false });
+
+    const endTouch = (e) => {
+        if (stickTouchId !== null && findTouch(e.changedTouches, stickTouchId)) releaseStick();
+        if (throttleTouchId !== null && findTouch(e.changedTouches, throttleTouchId)) throttleTouchId = null;
+    };
+    window.addEventListener('touchend', endTouch);
+    window.addEventListener('touchcancel', endTouch);
+
+    applyTouchSettings();
+}
+
+/**
+ * Render-time update: keep the slider in step with the real throttle (keyboard/gamepad can move it too)
+ */
+export function updateTouchControls(throttle) {
+    if (!throttleFill) return;
+    throttleFill.style.height = `${Math.round(throttle * 100)}%`;
+}
@@ -0,0 +1,18 @@
+// Small DOM helpers shared by the overlays (settings, loadout, photo mode, recorder)
+
+// Element with an optional class and text
+export function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.innerText = text;
+    return node;
+}
+
+// Save a blob as a file through a temporary link
+export function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
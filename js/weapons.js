@@ -0,0 +1,257 @@
+import { loadoutPerformance } from './flight.js?v=10';
+import { el } from './ui.js?v=1';
+
+// Weapon manager.
+// The jet carries a loadout of stations, each with its own ammunition and reload rule:
+// the cannon's capacitor recharges in flight back up to what was loaded; everything else is
+// released one at a time no faster than its interval and only replenished by rearming on a runway.
+// The gun has its own trigger; the release button fires whichever station is selected.
+// The loadout is picked on the ground (pre-flight screen) and the stores weigh the jet down.
+// The gun weighs the same however charged it is (mass), everything else per round (unitMass).
+
+export const STATIONS = [
+    { id: 'cannon', label: 'Cannon', hud: 'GUN', mass: 80, unitMass: 0, max: 100, default: 40, interval: 0, recharge: 1 },
+    { id: 'rockets', label: 'Rockets', hud: 'RKT', unitMass: 20, max: 38, default: 0, interval: 0.15 },
+    { id: 'bombs', label: 'Bombs', hud: 'BMB', unitMass: 120, max: 6, default: 4, interval: 3 },
+    { id: 'cluster', label: 'Cluster bombs', hud: 'CBU', unitMass: 180, max: 4, default: 0, interval: 3 },
+    { id: 'aim9', label: 'AIM-9 (heat)', hud: 'AIM-9', unitMass: 60, max: 4, default: 2, interval: 1, missile: 'heat' },
+    { id: 'aim120', label: 'AIM-120 (radar)', hud: 'AIM-120', unitMass: 100, max: 4, default: 2, interval: 1.5, missile: 'radar' }
+];
+
+const STORAGE_KEY = 'f16-loadout';
+const MESSAGE_TIME = 2;          // s a refusal stays in the status line
+
+const loadout = {};              // station id -> rounds loaded on the ground
+const ammo = {};                 // station id -> rounds left (fractional for the recharging gun)
+const lastRelease = {};          // station id -> sim time of the last release
+let selected = 'bombs';
+
+let simClock = null;
+let callbacks = { onOpen: () => {}, onClose: () => {}, canEditLoadout: () => true, getStatusExtra: () => '' };
+let panel = null;
+let message = null;              // { text, until }
+
+function station(id) {
+    return STATIONS.find(s => s.id === id);
+}
+
+/**
+ * options: simClock, onOpen / onClose (pause while the loadout screen is up),
+ * canEditLoadout() (only on the ground), getStatusExtra(station) (e.g. the missile seeker state)
+ */
+export function setupWeapons(options = {}) {
+    simClock = options.simClock;
+    callbacks = Object.assign(callbacks, options);
+
+    for (const s of STATIONS) loadout[s.id] = s.default;
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        for (const s of STATIONS) {
+            if (Number.isInteger(saved[s.id])) loadout[s.id] = Math.max(0, Math.min(s.max, saved[s.id]));
+        }
+    } catch (err) {
+        console.warn('Could not read the saved loadout', err);
+    }
+    rearmWeapons();
+    if (loadout[selected] === 0) selectNextStation();
+
+    panel = document.createElement('div');
+    panel.id = 'loadout-panel';
+    panel.className = 'hud-box';
+    panel.style.display = 'none';
+    document.body.appendChild(panel);
+
+    const row = document.getElementById('weapons-row');
+    if (row) {
+        for (const s of STATIONS) {
+            const span = el('span', 'annunciator', s.hud);
+            span.id = `wpn-${s.id}`;
+            row.appendChild(span);
+        }
+    }
+}
+
+function saveLoadout() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(loadout));
+    } catch (err) {
+        console.warn('Could not save the loadout', err);
+    }
+}
+
+/**
+ * Back to the loaded rounds on every station (parked on a runway, respawn)
+ */
+export function rearmWeapons() {
+    for (const s of STATIONS) {
+        ammo[s.id] = loadout[s.id];
+        lastRelease[s.id] = -Infinity;
+    }
+}
+
+export function getSelectedStation() {
+    return station(selected);
+}
+
+/**
+ * Next station with something loaded on it (the cannon if nothing else is)
+ */
+export function selectNextStation() {
+    const index = STATIONS.findIndex(s => s.id === selected);
+    for (let i = 1; i <= STATIONS.length; i++) {
+        const next = STATIONS[(index + i) % STATIONS.length];
+        if (loadout[next.id] > 0) {
+            selected = next.id;
+            return;
+        }
+    }
+    selected = 'cannon';
+}
+
+export function getAmmo(id) {
+    return Math.floor(ammo[id]);
+}
+
+/**
+ * Take one round from a station if it has one and its interval has passed. Returns whether it fired.
+ */
+export function consumeRound(id) {
+    const s = station(id);
+    if (ammo[id] < 1 || simClock.time - lastRelease[id] < s.interval) return false;
+    ammo[id] -= 1;
+    lastRelease[id] = simClock.time;
+    return true;
+}
+
+/**
+ * Simulation step: the gun's capacitor recharges up to what was loaded
+ */
+export function updateWeapons(delta) {
+    for (const s of STATIONS) {
+        if (s.recharge) ammo[s.id] = Math.min(loadout[s.id], ammo[s.id] + s.recharge * delta);
+    }
+}
+
+/**
+ * kg of weapons on board right now (the jet gets lighter as they go)
+ */
+export function getStoresMass() {
+    let mass = 0;
+    for (const s of STATIONS) mass += stationMass(s, Math.ceil(ammo[s.id]));
+    return mass;
+}
+
+function loadoutMass() {
+    let mass = 0;
+    for (const s of STATIONS) mass += stationMass(s, loadout[s.id]);
+    return mass;
+}
+
+function stationMass(s, rounds) {
+    return (loadout[s.id] > 0 ? s.mass || 0 : 0) + rounds * s.unitMass;
+}
+
+/**
+ * Rounds left as 0-100 of what was loaded
+ */
+export function getAmmoPct(id) {
+    return loadout[id] > 0 ? ammo[id] / loadout[id] * 100 : 0;
+}
+
+/**
+ * How far a station is through its release interval, 0-100 (100 = ready)
+ */
+export function getReadyPct(id) {
+    const s = station(id);
+    if (!simClock || s.interval <= 0) return 100;
+    return Math.max(0, Math.min(1, (simClock.time - lastRelease[id]) / s.interval)) * 100;
+}
+
+export function showWeaponMessage(text) {
+    message = { text, until: simClock ? simClock.time + MESSAGE_TIME : 0 };
+}
+
+/**
+ * Render-time: station annunciators (selected one lit, empty ones red) and the selected station's status line
+ */
+export function updateWeaponsHUD() {
+    for (const s of STATIONS) {
+        const span = document.getElementById(`wpn-${s.id}`);
+        if (!span) continue;
+        span.innerText = `${s.hud} ${getAmmo(s.id)}`;
+        span.style.display = loadout[s.id] > 0 ? '' : 'none';
+        span.classList.toggle('on', s.id === selected && ammo[s.id] >= 1);
+        span.classList.toggle('failed', s.id === selected && ammo[s.id] < 1);
+    }
+
+    const status = document.getElementById('weapon-status');
+    if (!status) return;
+    if (message && simClock && simClock.time > message.until) message = null;
+    const s = station(selected);
+    const extra = callbacks.getStatusExtra(s);
+    status.innerText = message ? message.text : `${s.hud} x${getAmmo(s.id)}${extra ? `  ${extra}` : ''}`;
+}
+
+// Loadout screen
+
+export function isLoadoutOpen() {
+    return !!panel && panel.style.display !== 'none';
+}
+
+export function toggleLoadout() {
+    if (!panel) return;
+    if (isLoadoutOpen()) {
+        panel.style.display = 'none';
+        if (loadout[selected] === 0) selectNextStation();
+        callbacks.onClose();
+    } else if (callbacks.canEditLoadout()) {
+        renderPanel();
+        panel.style.display = 'block';
+        callbacks.onOpen();
+    } else {
+        showWeaponMessage('LOADOUT: STOP ON A RUNWAY');
+    }
+}
+
+function renderPanel() {
+    panel.innerHTML = '';
+    panel.appendChild(el('div', 'grid-title', 'LOADOUT'));
+
+    const grid = el('div', 'settings-bindings loadout-grid');
+    const summary = el('div', 'loadout-summary');
+
+    const updateSummary = () => {
+        const stores = loadoutMass();
+        const perf = loadoutPerformance(stores);
+        summary.innerText =
+            `STORES ${stores} kg   TAKE-OFF ${Math.round(perf.mass)} kg\n` +
+            `T/W ${perf.thrustToWeight.toFixed(2)}   STALL ${Math.round(perf.stallSpeed * 20)} km/h   CEILING ${Math.round(perf.ceiling)} m`;
+    };
+
+    for (const s of STATIONS) {
+        grid.appendChild(el('div', 'settings-label', s.label));
+        const input = el('input', 'settings-input');
+        input.type = 'range';
+        input.min = 0;
+        input.max = s.max;
+        input.step = 1;
+        input.value = loadout[s.id];
+        const value = el('span', 'settings-value', `${loadout[s.id]} / ${stationMass(s, loadout[s.id])} kg`);
+        input.addEventListener('input', () => {
+            loadout[s.id] = Number(input.value);
+            ammo[s.id] = loadout[s.id];
+            value.innerText = `${loadout[s.id]} / ${stationMass(s, loadout[s.id])} kg`;
+            updateSummary();
+        });
+        input.addEventListener('change', saveLoadout);
+        grid.append(input, value);
+    }
+    panel.appendChild(grid);
+    updateSummary();
+    panel.appendChild(summary);
+
+    panel.appendChild(el('div', 'settings-hint', 'Every kilo of stores costs climb, speed and a higher stall speed. Rearming on a runway reloads this loadout.'));
+    const fly = el('button', 'settings-button settings-close', 'FLY');
+    fly.addEventListener('click', toggleLoadout);
+    panel.appendChild(fly);
+}
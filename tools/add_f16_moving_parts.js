@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Names the landing gear meshes in f16.obj and adds flaps and speed brakes, so the game can
+// look them up by name (like CannonLeft/CannonRight) and animate them.
+// Matches the parts created by createF16() in export_assets.js. Safe to run twice.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const assetsDir = path.resolve(__dirname, '../assets');
+const inputFileName = 'f16.obj';
+const inputFilePath = path.join(assetsDir, inputFileName);
+const backupFilePath = path.join(assetsDir, 'f16_WITHOUT_MOVING_PARTS.obj');
+const mtlFileName = 'f16.mtl';
+
+// Unnamed gear meshes, in the order export_assets.js adds them
+const GEAR_NAMES = [
+    'GearFrontStrut', 'GearFrontWheel',
+    'GearLeftStrut', 'GearLeftWheel',
+    'GearRightStrut', 'GearRightWheel'
+];
+
+function createFlap(side, material) {
+    // Aft strip of the wing (inboard half), slightly thicker than the wing to avoid z-fighting
+    const s = side === 'Right' ? 1 : -1;
+    const shape = new THREE.Shape();
+    shape.moveTo(0.7 * s, -1.617);
+    shape.lineTo(2.3 * s, -1.35);
+    shape.lineTo(2.3 * s, -1.70);
+    shape.lineTo(0.7 * s, -1.967);
+    shape.lineTo(0.7 * s, -1.617);
+
+    const geo = new THREE.ExtrudeGeometry(shape, { steps: 1, depth: 0.12, bevelEnabled: false });
+    geo.rotateX(-Math.PI / 2);
+    geo.translate(0, -0.01, 0);
+
+    const flap = new THREE.Mesh(geo, material);
+    flap.name = `Flap${side}`;
+    return flap;
+}
+
+function createSpeedBrake(side, material) {
+    // Plate on the side of the rear fuselage, hinged at its front edge (z = 1.25)
+    const geo = new THREE.BoxGeometry(0.04, 0.4, 0.6);
+    const brake = new THREE.Mesh(geo, material);
+    brake.name = `SpeedBrake${side}`;
+    brake.position.set(side === 'Right' ? 0.52 : -0.52, 0, 1.55);
+    brake.updateMatrix();
+    brake.updateMatrixWorld(true);
+    return brake;
+}
+
+function addMovingParts() {
+    console.log(`Loading ${inputFileName}...`);
+    const objContent = fs.readFileSync(inputFilePath, 'utf8');
+
+    if (!fs.existsSync(backupFilePath)) {
+        fs.writeFileSync(backupFilePath, objContent);
+        console.log(`✓ Created backup: ${path.basename(backupFilePath)}`);
+    }
+
+    const object = new OBJLoader().parse(objContent);
+
+    // Name the gear
+    const gear = object.children.filter(c => c.material && c.material.name === 'Gear');
+    if (gear.length !== GEAR_NAMES.length) {
+        console.log(`⚠ Expected ${GEAR_NAMES.length} gear meshes, found ${gear.length}`);
+        return;
+    }
+    gear.forEach((mesh, i) => {
+        mesh.name = GEAR_NAMES[i];
+    });
+    console.log('✓ Named landing gear meshes');
+
+    // Flaps and speed brakes (skip if already added)
+    const wings = object.children.find(c => c.name === 'Wings_Right');
+    for (const side of ['Left', 'Right']) {
+        if (!object.getObjectByName(`Flap${side}`)) object.add(createFlap(side, wings.material));
+        if (!object.getObjectByName(`SpeedBrake${side}`)) object.add(createSpeedBrake(side, wings.material));
+    }
+    console.log('✓ Added flaps and speed brakes');
+
+    const exporter = new OBJExporter();
+    fs.writeFileSync(inputFilePath, `mtllib ${mtlFileName}\n${exporter.parse(object)}`);
+    console.log(`✓ ${inputFileName} updated successfully`);
+    console.log(`  Backup saved as: ${path.basename(backupFilePath)}`);
+}
+
+addMovingParts();
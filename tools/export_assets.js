@@ -210,8 +210,10 @@ function createF16() {
     // Pivot is near fuselage bottom: (0, -0.5, -1.5)
     // Strut length 0.5. Top at -0.5. Center at -0.75. Bottom at -1.0.
     const frontStrut = new THREE.Mesh(strutGeo, gearMat);
+    frontStrut.name = "GearFrontStrut"; // Mesh names survive the OBJ export, group names don't
     frontStrut.position.set(0, -0.75, -1.5);
     const frontWheel = new THREE.Mesh(wheelGeo, gearMat);
+    frontWheel.name = "GearFrontWheel";
     frontWheel.position.set(0, -1.0, -1.5);
 
     const gearFront = new THREE.Group();
@@ -224,8 +226,10 @@ function createF16() {
     // Pivot: (0.8, -0.5, 0.5)
     // Fold Inwards (Rotate Z).
     const leftStrut = new THREE.Mesh(strutGeo, gearMat);
+    leftStrut.name = "GearLeftStrut";
     leftStrut.position.set(0.8, -0.75, 0.5);
     const leftWheel = new THREE.Mesh(wheelGeo, gearMat);
+    leftWheel.name = "GearLeftWheel";
     leftWheel.position.set(0.8, -1.0, 0.5);
 
     const gearLeft = new THREE.Group();
@@ -236,8 +240,10 @@ function createF16() {
 
     // Right Gear
     const rightStrut = new THREE.Mesh(strutGeo, gearMat);
+    rightStrut.name = "GearRightStrut";
     rightStrut.position.set(-0.8, -0.75, 0.5);
     const rightWheel = new THREE.Mesh(wheelGeo, gearMat);
+    rightWheel.name = "GearRightWheel";
     rightWheel.position.set(-0.8, -1.0, 0.5);
 
     const gearRight = new THREE.Group();
@@ -246,6 +252,30 @@ function createF16() {
     gearRight.add(rightWheel);
     group.add(gearRight);
 
+    // Flaps: aft strip of each wing (inboard half), hinged along their leading edge in the game.
+    // Slightly thicker than the wing to avoid z-fighting.
+    for (const side of ['Left', 'Right']) {
+        const s = side === 'Right' ? 1 : -1;
+        const flapShape = new THREE.Shape();
+        flapShape.moveTo(0.7 * s, -1.617);
+        flapShape.lineTo(2.3 * s, -1.35);
+        flapShape.lineTo(2.3 * s, -1.70);
+        flapShape.lineTo(0.7 * s, -1.967);
+        flapShape.lineTo(0.7 * s, -1.617);
+        const flapGeo = new THREE.ExtrudeGeometry(flapShape, { steps: 1, depth: 0.12, bevelEnabled: false });
+        flapGeo.rotateX(-Math.PI / 2);
+        flapGeo.translate(0, -0.01, 0);
+        const flap = new THREE.Mesh(flapGeo, wingMat);
+        flap.name = `Flap${side}`;
+        group.add(flap);
+
+        // Speed brake: plate on the side of the rear fuselage, hinged at its front edge (z = 1.25)
+        const brake = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.4, 0.6), wingMat);
+        brake.name = `SpeedBrake${side}`;
+        brake.position.set(0.52 * s, 0, 1.55);
+        group.add(brake);
+    }
+
     // CRITICAL for Headless Export: Update Matrices!
     // Without this, positions/rotations are ignored by exporter if it relies on baked World Matrix
     // or if local 'matrix' isn't composed from pos/rot/scale yet.